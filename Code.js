@@ -4,7 +4,7 @@
 /**
  * AI Editor for Google Docs
  * This script allows users to highlight text, add "AI: [instruction]" comments,
- * and process them using local Ollama models.
+ * and process them using local Ollama models or another AI provider.
  */
 
 // Global logging configuration
@@ -94,9 +94,79 @@ function logDebug(category, message, data = null) {
 const COMMENT_STATE = {
   ACCEPTED: "[STATE:ACCEPTED]",
   PROCESSING: "[STATE:PROCESSING]",
-  REJECTED: "[STATE:REJECTED]"
+  REJECTED: "[STATE:REJECTED]",
+  PENDING_REVIEW: "[STATE:PENDING_REVIEW]",
+  ANSWERED: "[STATE:ANSWERED]"
 };
 
+// Processing claims on a comment expire after this long unless their holder
+// renews them, so a sidebar closed mid-generation doesn't hold the comment
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Label of the line carrying a PROCESSING reply's lease expiry
+const PROCESSING_LEASE_LABEL = "Lease expires:";
+
+// Label that precedes the proposed text in a PENDING_REVIEW reply
+const SUGGESTION_REPLY_LABEL = "Suggested revision:";
+
+// Label that precedes the turned-down text in a REJECTED reply
+const REJECTED_REPLY_LABEL = "Rejected suggestion:";
+
+// Label that precedes the answer in an ANSWERED reply
+const ANSWER_REPLY_LABEL = "Answer:";
+
+// Default prefix of comments and follow-up replies addressed to the AI;
+// users can configure other triggers in Settings
+const AI_COMMENT_PREFIX = "AI:";
+
+// Command verbs a comment can use instead of a free-form instruction,
+// e.g. "AI /translate fr:" or 'AI /prompt "Fix Grammar & Spelling"'
+const COMMENT_COMMANDS = {
+  translate: {
+    usage: '/translate <language>',
+    needsArgs: true,
+    instruction: args => `Translate the text into ${args}.`
+  },
+  shorten: {
+    usage: '/shorten',
+    needsArgs: false,
+    instruction: () => 'Shorten the text while keeping its meaning and tone.'
+  },
+  prompt: {
+    usage: '/prompt "<saved prompt name>"',
+    needsArgs: true,
+    instruction: (args, prompts) => {
+      const match = prompts.find(prompt => prompt.name && prompt.name.toLowerCase() === args.toLowerCase());
+      if (!match) {
+        throw new Error(`No saved prompt is named "${args}"`);
+      }
+      return match.prompt;
+    }
+  }
+};
+
+// Document variables a prompt template can use as {{name}} or {{name:argument}}.
+// Any other name is a field the user fills in before the prompt runs, with the
+// argument as its default value, e.g. {{audience:general readers}}.
+const TEMPLATE_VARIABLES = {
+  selection: 'The text being edited',
+  section_heading: 'The heading of the section the text is in',
+  document_title: 'The title of the document',
+  surrounding_paragraphs: 'Paragraphs before and after the text; {{surrounding_paragraphs:2}} takes two on each side'
+};
+
+// Matches {{name}} and {{name:argument}} in a prompt template
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?::([^}]*))?\}\}/g;
+
+// Most paragraphs {{surrounding_paragraphs}} can take on each side
+const MAX_SURROUNDING_PARAGRAPHS = 10;
+
+// Comments requested per Drive.Comments.list page (the API maximum)
+const COMMENT_PAGE_SIZE = 100;
+
+// Most alternative suggestions a comment can ask for ("AI x3: ...")
+const MAX_COMMENT_VARIANTS = 5;
+
 // Retry configuration
 const RETRY_CONFIG = {
   MAX_ATTEMPTS: 3,
@@ -104,6 +174,103 @@ const RETRY_CONFIG = {
   MAX_DELAY_MS: 5000
 };
 
+// AI provider used until one is chosen in Settings (see AI_PROVIDERS)
+const DEFAULT_AI_PROVIDER = 'ollama';
+
+// Structured (JSON) suggestion output
+const SUGGESTION_CATEGORIES = ['grammar', 'clarity', 'tone', 'structure', 'factual'];
+
+// Response schema in the OpenAPI subset accepted by Gemini's responseSchema
+const SUGGESTION_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    suggestions: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          original: { type: 'STRING' },
+          revised: { type: 'STRING' },
+          category: { type: 'STRING', enum: SUGGESTION_CATEGORIES },
+          rationale: { type: 'STRING' }
+        },
+        required: ['original', 'revised', 'category', 'rationale']
+      }
+    }
+  },
+  required: ['suggestions']
+};
+
+// Document property holding the ID of the document's exported .md file
+const MARKDOWN_EXPORT_PROPERTY = 'markdownExportFileId';
+
+// Document property holding the journal of accepted AI edits
+const EDIT_JOURNAL_PROPERTY = 'editJournal';
+
+// Edit journal limits; the oldest entries are dropped first
+const EDIT_JOURNAL_CONFIG = {
+  MAX_ENTRIES: 100,
+  MAX_CHARS: 100000,   // Serialized size, well under the 500 KB property store quota
+  CONTEXT_CHARS: 40    // Text kept on each side of an edit to check before reverting
+};
+
+// User property holding the user's saved prompts
+const PROMPT_LIBRARY_PROPERTY = 'promptLibrary';
+
+// User property holding the ID of the Drive file or folder with the team's shared prompts
+const SHARED_PROMPTS_PROPERTY = 'sharedPromptSource';
+
+// Name of the file created when a user starts a shared prompt library
+const SHARED_PROMPTS_FILE_NAME = 'AI Editor Prompts.json';
+
+// Drive fields read for shared prompt files and folders
+const SHARED_PROMPTS_FILE_FIELDS = 'id,name,mimeType,modifiedTime,trashed,webViewLink,capabilities(canEdit,canAddChildren)';
+
+// Saved prompt limits
+const PROMPT_LIBRARY_CONFIG = {
+  MAX_PROMPTS: 200,
+  MAX_NAME_CHARS: 100,
+  MAX_PROMPT_CHARS: 10000,
+  MAX_CHARS: 200000    // Serialized size, leaving room in the 500 KB store for settings
+};
+
+// User property holding the user's prompt pipelines
+const PROMPT_PIPELINES_PROPERTY = 'promptPipelines';
+
+// Prompt pipeline limits; every step is one model call per section
+const PIPELINE_CONFIG = {
+  MAX_PIPELINES: 50,
+  MAX_STEPS: 10
+};
+
+// Characters per property value when a value is split across keys; the
+// 9 KB per-value limit is in bytes, and a character can take up to four
+const PROPERTY_CHUNK_CHARS = 2000;
+
+// Docs styling for rendered markdown
+const MARKDOWN_STYLE = {
+  CODE_FONT: 'Courier New',
+  MONOSPACE_FONTS: ['Courier New', 'Consolas', 'Roboto Mono', 'Source Code Pro', 'Inconsolata', 'Ubuntu Mono'],
+  QUOTE_INDENT: 36,        // Points
+  QUOTE_COLOR: '#666666',
+  MAX_LIST_NESTING: 8
+};
+
+// Largest word diff (original tokens x revised tokens) worked out in full;
+// bigger replacements fall back to one edit between the common prefix and suffix
+const DIFF_MAX_CELLS = 250000;
+
+// Whole-document chunking configuration
+const CHUNK_CONFIG = {
+  CHARS_PER_TOKEN: 4,              // Rough estimate used for sizing prompts
+  DEFAULT_CONTEXT_TOKENS: 4096,    // Used when the model's context can't be determined
+  MAX_OLLAMA_CONTEXT_TOKENS: 32768, // Cap on num_ctx to keep local memory use reasonable
+  GEMINI_CONTEXT_TOKENS: 1000000,
+  GEMINI_MAX_OUTPUT_TOKENS: 8192,
+  MAX_OUTLINE_CHARS: 2000,
+  CONTEXT_CACHE_SECONDS: 600
+};
+
 /**
  * Sleep for a given number of milliseconds
  * 
@@ -389,6 +556,9 @@ function onOpen() {
   DocumentApp.getUi()
     .createMenu("AI Editor")
     .addItem("Open Editor", "showSidebar")
+    .addSeparator()
+    .addItem("Export as Markdown", "showMarkdownExport")
+    .addItem("Import from Markdown...", "showMarkdownImport")
     .addToUi();
     
   // Automatically open the sidebar
@@ -412,13 +582,14 @@ function showSidebar() {
  * @return {String} Sanitized text
  */
 function sanitizeText(text) {
-  // Create RegExp objects instead of literal regex with control characters
-  const controlCharsRegex = new RegExp('[\\u0000-\\u001F\\u007F-\\u009F]', 'g');
-  const lineSeparatorsRegex = new RegExp('\\u2028|\\u2029', 'g');
+  // Create RegExp objects instead of literal regex with control characters.
+  // Tabs and newlines are kept so multi-paragraph markdown can be rendered.
+  const controlCharsRegex = new RegExp('[\\u0000-\\u0008\\u000B-\\u001F\\u007F-\\u009F]', 'g');
+  const lineSeparatorsRegex = new RegExp('\\r\\n?|\\u2028|\\u2029', 'g');
   
   return text
-    .replace(controlCharsRegex, "") // Remove control characters
     .replace(lineSeparatorsRegex, "\n") // Normalize line separators
+    .replace(controlCharsRegex, "") // Remove control characters
     .trim();
 }
 
@@ -436,6 +607,11 @@ function getCommentState(comment) {
   // Check replies in reverse order to get most recent state
   for (let i = comment.replies.length - 1; i >= 0; i--) {
     const reply = comment.replies[i];
+    
+    // Claims whose lease ran out no longer hold the comment
+    if (isExpiredProcessingMarker(reply)) {
+      continue;
+    }
     for (const state in COMMENT_STATE) {
       if (reply.content.includes(COMMENT_STATE[state])) {
         return COMMENT_STATE[state];
@@ -447,957 +623,5924 @@ function getCommentState(comment) {
 }
 
 /**
- * Retrieves all comments in the document that contain "AI:" prefix
- * and returns their text selections and instructions
+ * Format the PENDING_REVIEW reply that stores a generated suggestion in a
+ * comment thread until someone accepts or rejects it
  * 
- * @return {Array} Array of objects containing comment info
+ * @param {Object} suggestion - Suggestion with revised text and optional category and rationale
+ * @param {String} modelName - Model that produced the suggestion
+ * @param {Date} [generatedAt] - When the suggestion was generated
+ * @return {String} Reply content
  */
-function getAIComments() {
-  const doc = DocumentApp.getActiveDocument();
-  const fileId = doc.getId();
-  
-  try {
-    // Get all comments from the document using Drive API
-    const response = Drive.Comments.list(fileId, {
-      fields: "comments(id,content,quotedFileContent,replies,anchor,resolved)",
-      pageSize: 100,
-      includeDeleted: false
-    });
-    
-    const comments = response.comments || [];
-    Logger.log("aiedit: Retrieved " + comments.length + " total comments");
-    
-    // Filter for AI comments that are either unprocessed or rejected
-    const aiComments = comments.filter(comment => {
-      const content = comment.content.trim();
-      const isAIComment = content.startsWith("AI:");
-      const isActive = !comment.resolved;
-      const hasQuotedText = comment.quotedFileContent && comment.quotedFileContent.value;
-      const hasValidAnchor = comment.anchor && comment.anchor.length > 0;
-      
-      // Get current state from replies
-      const state = getCommentState(comment);
-      
-      // Comment is eligible if:
-      // 1. Never processed (no state)
-      // 2. Was rejected (has REJECTED state)
-      // 3. Not currently being processed
-      const isEligible = !state || state === COMMENT_STATE.REJECTED;
-      
-      return isAIComment && isActive && hasQuotedText && hasValidAnchor && isEligible;
-    });
-    
-    Logger.log("aiedit: Found " + aiComments.length + " eligible AI comments");
+function formatSuggestionReply(suggestion, modelName, generatedAt = new Date()) {
+  const variants = suggestion.variants || [suggestion.revised];
+  const lines = [
+    `${COMMENT_STATE.PENDING_REVIEW} AI suggestion awaiting review`,
+    `Model: ${modelName}`,
+    `Generated: ${generatedAt.toISOString()}`
+  ];
+  if (variants.length > 1) {
+    lines.push(`Variants: ${variants.length}`);
+  }
+  if (suggestion.category) {
+    lines.push(`Category: ${suggestion.category}`);
+  }
+  if (suggestion.rationale) {
+    lines.push(`Why: ${suggestion.rationale}`);
+  }
+  lines.push('', SUGGESTION_REPLY_LABEL, formatVariantText(variants));
+  return lines.join('\n');
+}
+
+/**
+ * Join alternative suggestions under "Variant 1 of 3:" style headings.
+ * A single suggestion is returned as is.
+ * 
+ * @param {Array<String>} variants - Suggested texts
+ * @return {String} Text for a reply
+ */
+function formatVariantText(variants) {
+  if (variants.length === 1) {
+    return variants[0];
+  }
+  return variants
+    .map((variant, index) => `Variant ${index + 1} of ${variants.length}:\n${variant}`)
+    .join('\n\n');
+}
+
+/**
+ * Split text written by formatVariantText back into its suggestions
+ * 
+ * @param {String} text - Text after the reply label
+ * @return {Array<String>} The suggested texts
+ */
+function splitVariantText(text) {
+  const parts = text.split(/^Variant \d+ of \d+:\n/m);
+  if (parts.length < 3 || parts[0].trim()) {
+    return [text];
+  }
+  return parts.slice(1).map(part => part.replace(/\n+$/, ''));
+}
+
+/**
+ * Get the text that follows a label line in a state reply
+ * 
+ * @param {String} content - Reply content
+ * @param {String} state - State marker the reply must carry
+ * @param {String} label - Label line preceding the text
+ * @return {String|null} Text after the label, or null if the reply has none
+ */
+function getReplyText(content, state, label) {
+  const labelIndex = (content || '').indexOf(label + '\n');
+  if (!content.includes(state) || labelIndex === -1) {
+    return null;
+  }
+  return content.substring(labelIndex + label.length + 1);
+}
+
+/**
+ * Get the suggestion stored in the most recent PENDING_REVIEW reply of a comment
+ * 
+ * @param {Object} comment - Comment object from Drive API
+ * @return {Object|null} Suggestion with text (the first variant), variants,
+ *     model, timestamp, category and rationale (null when absent), or null if
+ *     the thread has none
+ */
+function getPendingSuggestion(comment) {
+  const replies = comment.replies || [];
+  for (let i = replies.length - 1; i >= 0; i--) {
+    const content = replies[i].content || '';
+    const text = getReplyText(content, COMMENT_STATE.PENDING_REVIEW, SUGGESTION_REPLY_LABEL);
+    if (text === null) {
+      continue;
+    }
     
-    // Map to our internal format with full context
-    return aiComments.map(comment => ({
-      id: comment.id,
-      instruction: comment.content.trim().substring(3).trim(), // Remove 'AI:' prefix
-      text: comment.quotedFileContent.value,
-      anchor: comment.anchor,
-      state: getCommentState(comment) || "unprocessed"
-    }));
-  } catch (e) {
-    Logger.log("aiedit: Error retrieving comments: " + e.message);
-    throw new Error("Failed to retrieve comments: " + e.message);
+    // Header lines come before the label
+    const header = content.substring(0, content.indexOf(SUGGESTION_REPLY_LABEL + '\n'));
+    const field = name => {
+      const match = header.match(new RegExp('^' + name + ': (.*)$', 'm'));
+      return match ? match[1].trim() : null;
+    };
+    const variants = field('Variants') ? splitVariantText(text) : [text];
+    return {
+      text: variants[0],
+      variants: variants,
+      model: field('Model'),
+      timestamp: field('Generated') || replies[i].createdTime || null,
+      category: field('Category'),
+      rationale: field('Why')
+    };
   }
+  return null;
 }
 
 /**
- * Validate comment ID format and existence
+ * Store a suggestion generated for a comment as a PENDING_REVIEW reply, so
+ * review can resume from any sidebar and teammates can see the proposal
  * 
  * @param {String} fileId - Document ID
- * @param {String} commentId - Comment ID to validate
- * @return {Boolean} Whether the comment ID is valid
+ * @param {String} commentId - Comment ID
+ * @param {String|Array<String>} suggestedText - The generated suggestion, or
+ *     its alternatives when the comment asked for several
+ * @param {String} modelName - Model that generated it
+ * @param {String} [claimReplyId] - Marker reply from markCommentProcessing;
+ *     nothing is saved unless it still holds the comment
+ * @return {Object} Result with success status and the reply ID, or
+ *     claimExpired if the claim was lost
  */
-function validateCommentId(fileId, commentId) {
-  if (!commentId || typeof commentId !== 'string' || commentId.length === 0) {
-    Logger.log("aiedit-debug: Invalid comment ID format", {
-      commentId: commentId,
-      type: typeof commentId
-    });
-    return false;
-  }
-  
+function savePendingSuggestion(fileId, commentId, suggestedText, modelName, claimReplyId = null) {
+  const lock = LockService.getDocumentLock();
   try {
-    const comment = Drive.Comments.get(fileId, commentId, {
-      fields: 'id'
-    });
-    Logger.log("aiedit-debug: Comment validation result", {
+    const variants = (Array.isArray(suggestedText) ? suggestedText : [suggestedText]).filter(Boolean);
+    if (variants.length === 0) {
+      throw new Error("There is no suggestion to save");
+    }
+    
+    if (claimReplyId) {
+      lock.waitLock(10000);
+      if (!isLiveProcessingClaim(fileId, commentId, claimReplyId)) {
+        return { success: false, claimExpired: true, error: "The claim on this comment has expired" };
+      }
+    }
+    
+    const reply = Drive.Replies.create(
+      { content: formatSuggestionReply({ variants: variants }, modelName || 'unknown model') },
+      fileId,
+      commentId,
+      { fields: 'id' }
+    );
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Saved pending suggestion", {
       commentId: commentId,
-      exists: !!comment,
-      matches: comment ? (comment.id === commentId) : false
+      replyId: reply.id,
+      model: modelName,
+      variants: variants.length
     });
-    return comment && comment.id === commentId;
+    
+    return { success: true, replyId: reply.id };
   } catch (e) {
-    Logger.log("aiedit-debug: Error validating comment ID", {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error saving pending suggestion", {
       commentId: commentId,
-      error: e.toString(),
-      errorName: e.name,
-      errorStack: e.stack
+      error: e.toString()
     });
-    return false;
+    return { success: false, error: e.message };
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
- * Verify text location and return success status
+ * Build the prompt for a question comment: the question, the text it is
+ * about, earlier questions and answers in the thread, and as much of the
+ * document as fits the model's context, centred on the quoted text
  * 
- * @param {String} fileId - Document ID
- * @param {String} commentId - Comment ID
- * @param {String} originalText - Text to verify
- * @return {Object} Success status and location info
+ * @param {Object} comment - Question comment from getAIComments
+ * @param {String} modelName - Model that will answer
+ * @return {Object} Result with success status and prompt
  */
-function verifyTextLocation(fileId, commentId, originalText) {
+function buildQuestionPrompt(comment, modelName) {
   try {
-    // Get document
     const doc = DocumentApp.getActiveDocument();
+    const documentMarkdown = buildDocumentMarkdown();
+    const markdown = documentMarkdown.markdown.trim();
+    const followUps = comment.followUps || [];
+    const question = followUps.length > 0 ? followUps[followUps.length - 1] : comment.instruction;
     
-    // Validate comment ID first
-    if (!validateCommentId(fileId, commentId)) {
-      return { success: false, error: "Invalid comment ID" };
-    }
-    
-    // Get fresh comment data
-    const comment = Drive.Comments.get(fileId, commentId, {
-      fields: "id,anchor,quotedFileContent,content"
-    });
-    
-    if (!comment || !comment.anchor || !comment.quotedFileContent) {
-      return { 
-        success: false, 
-        error: "Comment is missing required data" 
-      };
-    }
-    
-    // Get the document body
-    const body = doc.getBody();
-    
-    // Normalize the text for searching
-    const controlCharsRegex = new RegExp('[\\u0000-\\u001F\\u007F-\\u009F]', 'g');
-    const lineSeparatorsRegex = new RegExp('\\u2028|\\u2029', 'g');
-    const whitespaceRegex = new RegExp('\\s+', 'g');
-    
-    const normalizedOriginal = originalText
-      .replace(controlCharsRegex, "")
-      .replace(lineSeparatorsRegex, "\n")
-      .replace(whitespaceRegex, " ")
-      .trim();
+    // The comment itself asked the first question; replies carry the rest
+    const turns = followUps.length > 0
+      ? [{ role: 'user', content: comment.instruction }].concat((comment.history || []).slice(0, -1))
+      : [];
+    const earlier = turns
+      .map(turn => (turn.role === 'assistant' ? 'Answer: ' : 'Question: ') + turn.content)
+      .join('\n\n');
     
-    // Find all occurrences of the text
-    let foundElements = [];
-    let searchResult = body.findText(normalizedOriginal);
+    const instructions =
+      'You are reviewing a document. Answer the question about the quoted passage, using the ' +
+      'document for context. Be concise and specific, and do not rewrite the passage.\n\n' +
+      `Passage:\n${comment.text}\n\n` +
+      (earlier ? `Earlier in this comment thread:\n${earlier}\n\n` : '') +
+      `Question: ${question}`;
     
-    while (searchResult) {
-      const element = searchResult.getElement();
-      const startOffset = searchResult.getStartOffset();
-      const endOffset = searchResult.getEndOffsetInclusive();
-      
-      foundElements.push({
-        element: element,
-        startOffset: startOffset,
-        endOffset: endOffset
-      });
-      
-      searchResult = body.findText(normalizedOriginal, searchResult);
-    }
+    // Use half the context for the document and leave the rest for the answer
+    const limits = getModelLimits(modelName);
+    const budget = Math.max(
+      Math.floor(limits.contextTokens / 2) * CHUNK_CONFIG.CHARS_PER_TOKEN - instructions.length,
+      CHUNK_CONFIG.MAX_OUTLINE_CHARS
+    );
     
-    if (foundElements.length === 0) {
-      return {
-        success: false,
-        error: "Could not find the text in the document"
-      };
+    let context = `Document title: ${doc.getName()}\n\n${markdown}`;
+    if (markdown.length > budget) {
+      const firstLine = (comment.text || '').split('\n').map(line => line.trim()).find(line => line) || '';
+      const found = firstLine ? markdown.indexOf(firstLine) : -1;
+      const center = found === -1 ? 0 : found;
+      const start = Math.max(0, Math.min(center - Math.floor(budget / 2), markdown.length - budget));
+      context = buildDocumentPreamble(doc.getName(), documentMarkdown.headings) +
+        '\nExcerpt around the passage:\n\n' + markdown.substring(start, start + budget);
     }
     
-    // If we have exactly one match, use it
-    if (foundElements.length === 1) {
-      const match = foundElements[0];
-      return {
-        success: true,
-        location: {
-          element: match.element,
-          startOffset: match.startOffset,
-          endOffset: match.endOffset,
-          anchorStart: match.startOffset,
-          anchorEnd: match.endOffset
-        }
-      };
+    return {
+      success: true,
+      prompt: `${context}\n\n---\n\n${instructions}`
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error building question prompt", {
+      commentId: comment && comment.id,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Post the answer to a question comment as an ANSWERED reply. The comment
+ * stays open so the thread can continue; a follow-up question brings it
+ * back into the queue.
+ * 
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} answer - The model's answer
+ * @param {String} modelName - Model that answered
+ * @param {String} [claimReplyId] - Marker reply from markCommentProcessing;
+ *     nothing is posted unless it still holds the comment
+ * @return {Object} Result with success status and the reply ID, or
+ *     claimExpired if the claim was lost
+ */
+function postCommentAnswer(fileId, commentId, answer, modelName, claimReplyId = null) {
+  const lock = LockService.getDocumentLock();
+  try {
+    if (!answer) {
+      throw new Error("There is no answer to post");
     }
     
-    // Multiple matches - try to find the best one using context
-    const quotedContext = comment.quotedFileContent.value;
-    let bestMatch = null;
-    let bestScore = 0;
-    
-    for (const match of foundElements) {
-      const elementText = match.element.getText();
-      const contextStart = Math.max(0, match.startOffset - 50);
-      const contextEnd = Math.min(elementText.length, match.endOffset + 51);
-      const context = elementText.substring(contextStart, contextEnd);
-      
-      const contextSimilarity = calculateSimilarity(context, quotedContext);
-      
-      if (contextSimilarity > bestScore && contextSimilarity > 0.7) {
-        bestScore = contextSimilarity;
-        bestMatch = match;
+    if (claimReplyId) {
+      lock.waitLock(10000);
+      if (!isLiveProcessingClaim(fileId, commentId, claimReplyId)) {
+        return { success: false, claimExpired: true, error: "The claim on this comment has expired" };
       }
     }
     
-    if (bestMatch && bestScore > 0.8) {  // 80% confidence threshold
-      return {
-        success: true,
-        location: {
-          element: bestMatch.element,
-          startOffset: bestMatch.startOffset,
-          endOffset: bestMatch.endOffset,
-          anchorStart: bestMatch.startOffset,
-          anchorEnd: bestMatch.endOffset
-        }
-      };
-    }
+    const reply = Drive.Replies.create(
+      {
+        content: `${COMMENT_STATE.ANSWERED} Answered by ${modelName || 'unknown model'}\n\n` +
+          `${ANSWER_REPLY_LABEL}\n${answer}`
+      },
+      fileId,
+      commentId,
+      { fields: 'id' }
+    );
     
-    return {
-      success: false,
-      error: "Could not reliably determine text location"
-    };
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Posted answer to question comment", {
+      commentId: commentId,
+      replyId: reply.id,
+      model: modelName
+    });
     
+    return { success: true, replyId: reply.id };
   } catch (e) {
-    return {
-      success: false,
-      error: e.message
-    };
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error posting answer", {
+      commentId: commentId,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
- * Calculate similarity between two strings
- * Uses Levenshtein distance normalized by length
+ * Rebuild the conversation in a comment thread: suggestions and answers the
+ * AI gave (published or rejected) and the "AI:" follow-up replies users added.
+ * Other replies and processing markers are left out.
  * 
- * @param {String} str1 - First string
- * @param {String} str2 - Second string
- * @return {Number} Similarity score between 0 and 1
+ * @param {Object} comment - Comment object from Drive API
+ * @param {Array<String>} [triggers] - Triggers from getCommentTriggers
+ * @param {Array<Object>} [prompts] - Saved prompts for /prompt follow-ups
+ * @return {Object} Object with history (turns with role 'assistant' or 'user',
+ *     content, and rejected or answer flags), followUps, the instructions
+ *     added since the thread's latest state, and variants, the number of
+ *     alternatives the latest of them asked for (null if none did)
  */
-function calculateSimilarity(str1, str2) {
-  if (!str1 || !str2) return 0;
+function getCommentThread(comment, triggers = [AI_COMMENT_PREFIX], prompts = []) {
+  const history = [];
+  let followUps = [];
+  let variants = null;
   
-  // Normalize strings
-  str1 = str1.replace(/\s+/g, ' ').trim().toLowerCase();
-  str2 = str2.replace(/\s+/g, ' ').trim().toLowerCase();
-  
-  if (str1 === str2) return 1;
-  
-  const len1 = str1.length;
-  const len2 = str2.length;
-  const matrix = Array(len2 + 1).fill().map(() => Array(len1 + 1).fill(0));
-  
-  for (let i = 0; i <= len1; i++) matrix[0][i] = i;
-  for (let j = 0; j <= len2; j++) matrix[j][0] = j;
-  
-  for (let j = 1; j <= len2; j++) {
-    for (let i = 1; i <= len1; i++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j - 1][i] + 1,      // deletion
-        matrix[j][i - 1] + 1,      // insertion
-        matrix[j - 1][i - 1] + cost // substitution
-      );
+  (comment.replies || []).forEach(reply => {
+    const content = (reply.content || '').trim();
+    const suggested = getReplyText(content, COMMENT_STATE.PENDING_REVIEW, SUGGESTION_REPLY_LABEL);
+    const rejected = getReplyText(content, COMMENT_STATE.REJECTED, REJECTED_REPLY_LABEL);
+    const answer = getReplyText(content, COMMENT_STATE.ANSWERED, ANSWER_REPLY_LABEL);
+    const last = history[history.length - 1];
+    const followUp = parseCommentInstruction(content, triggers, prompts);
+    
+    if (answer !== null) {
+      history.push({ role: 'assistant', content: answer, answer: true });
+      followUps = [];
+      variants = null;
+    } else if (suggested !== null || rejected !== null) {
+      const text = suggested !== null ? suggested : rejected;
+      
+      // A rejected published suggestion already has its turn
+      if (last && last.role === 'assistant' && last.content === text) {
+        last.rejected = last.rejected || rejected !== null;
+      } else {
+        history.push({ role: 'assistant', content: text, rejected: rejected !== null });
+      }
+      followUps = [];
+      variants = null;
+    } else if (followUp) {
+      if (!followUp.error) {
+        history.push({ role: 'user', content: followUp.instruction });
+        followUps.push(followUp.instruction);
+        variants = followUp.variants || variants;
+      }
+    } else if (Object.values(COMMENT_STATE).some(state => content.includes(state)) &&
+               !content.includes(COMMENT_STATE.PROCESSING)) {
+      followUps = [];
+      variants = null;
     }
-  }
+  });
   
-  const distance = matrix[len2][len1];
-  const maxLen = Math.max(len1, len2);
-  return maxLen === 0 ? 1 : 1 - (distance / maxLen);
+  return { history: history, followUps: followUps, variants: variants };
 }
 
 /**
- * Highlight text in the document to indicate a conflict or issue
+ * Builds an index of the body's top-level elements and the heading each one
+ * falls under, used to place comments in sections
  * 
- * @param {Object} location - Location information for the text
- * @param {String} color - Background color for highlighting
+ * @param {Body} body - The document body
+ * @return {Array} Entries with text and heading (empty before the first heading)
  */
-function highlightConflictArea(location) {
-  if (!location || !location.element) return;
-  
-  try {
-    const originalStyle = location.element.getBackgroundColor();
-    
-    // Highlight in yellow to indicate conflict
-    location.element.setBackgroundColor(
-      location.startOffset,
-      location.endOffset,
-      '#FFEB3B'  // Material Design Yellow 500
-    );
-    
-    // Reset highlight after 5 seconds
-    sleep(5000);
-    location.element.setBackgroundColor(
-      location.startOffset,
-      location.endOffset,
-      originalStyle
-    );
-  } catch (e) {
-    Logger.log("aiedit: Warning - Could not highlight conflict area: " + e.message);
+function buildSectionIndex(body) {
+  const entries = [];
+  let heading = '';
+  for (let i = 0; i < body.getNumChildren(); i++) {
+    const element = castElement(body.getChild(i));
+    const text = typeof element.getText === 'function' ? element.getText() : '';
+    if (element.getType() === DocumentApp.ElementType.PARAGRAPH &&
+        element.getHeading() !== DocumentApp.ParagraphHeading.NORMAL && text.trim()) {
+      heading = text.trim();
+    }
+    entries.push({ text: text, heading: heading });
   }
+  return entries;
 }
 
 /**
- * Check for document changes and verify text integrity
+ * Finds where a comment's quoted text sits in the document
  * 
- * @param {String} initialVersion - Initial document version
- * @param {String} currentText - Current text to verify
- * @param {Object} location - Location information
- * @return {Object} Status object with change details
+ * @param {Array} sectionIndex - Index from buildSectionIndex
+ * @param {String} quotedText - The comment's quoted text
+ * @return {Object} Object with section heading and position (element index,
+ *     or -1 if the text wasn't found)
  */
-function checkDocumentChanges(initialVersion, currentText, location) {
-  const doc = DocumentApp.getActiveDocument();
-  const currentVersion = doc.getBody().getText();
-  
-  if (currentVersion === initialVersion) {
-    return { changed: false };
-  }
-  
-  // Document changed, analyze the changes
-  const originalTextIntact = currentText.substring(
-    location.anchorStart,
-    location.anchorEnd + 1
-  ) === location.element.getText().substring(
-    location.startOffset,
-    location.endOffset + 1
-  );
-  
+function findCommentSection(sectionIndex, quotedText) {
+  const firstLine = (quotedText || '').split('\n').map(line => line.trim()).find(line => line) || '';
+  const position = firstLine ? sectionIndex.findIndex(entry => entry.text.includes(firstLine)) : -1;
   return {
-    changed: true,
-    targetAreaChanged: !originalTextIntact,
-    changeLocation: location
+    section: position === -1 ? '' : sectionIndex[position].heading,
+    position: position
   };
 }
 
 /**
- * Apply AI-generated text by resolving the comment and updating the document
+ * Get the comment triggers configured in the user's settings
  * 
- * @param {String} fileId - ID of the document
- * @param {String} commentId - ID of the comment
- * @param {String} suggestedText - AI-generated replacement text
- * @param {Boolean} accepted - Whether the suggestion was accepted
- * @return {Boolean} Success status
+ * @return {Array<String>} Trigger prefixes, longest first
  */
-function applyAIEdit(fileId, commentId, suggestedText, accepted) {
-  // Get active document - needed for text operations later
-  const doc = DocumentApp.getActiveDocument();
-  let originalText = null;
-  let location = null;
-  
-  Logger.log("aiedit-debug: Starting applyAIEdit", {
-    fileId: fileId,
-    commentId: commentId,
-    suggestedTextLength: suggestedText ? suggestedText.length : 0,
-    accepted: accepted,
-    documentId: doc.getId() // Use doc to log the document ID
-  });
-  
+function getCommentTriggers() {
+  let triggers = [];
   try {
-    // Validate inputs
-    if (!fileId || !commentId || !suggestedText) {
-      Logger.log("aiedit-debug: Missing required parameters", {
-        hasFileId: !!fileId,
-        hasCommentId: !!commentId,
-        hasSuggestedText: !!suggestedText
-      });
-      throw new Error("Missing required parameters for applying AI edit");
+    const settings = JSON.parse(PropertiesService.getUserProperties().getProperty('userSettings') || '{}');
+    triggers = (settings.commentTriggers || []).map(trigger => String(trigger).trim()).filter(Boolean);
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading comment triggers", { error: e.toString() });
+  }
+  if (triggers.length === 0) {
+    triggers = [AI_COMMENT_PREFIX];
+  }
+  return triggers.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Parses a comment or reply addressed to the AI into a structured instruction.
+ * 
+ * A trigger ending in a colon ("AI:") needs the colon before a free-form
+ * instruction, so ordinary comments that happen to start with the word are
+ * ignored; a command verb may follow the bare word ("AI /shorten:"). Other
+ * triggers ("@ai", an emoji) may be followed by the instruction directly.
+ * A question mark instead of the colon ("AI? is this accurate?") asks a
+ * question about the text rather than requesting an edit, and a count after
+ * the trigger word ("AI x3: punchier") asks for alternative suggestions.
+ * 
+ * @param {String} content - Comment or reply content
+ * @param {Array<String>} triggers - Triggers from getCommentTriggers
+ * @param {Array<Object>} [prompts] - Saved prompts ({name, prompt}) for /prompt
+ * @return {Object|null} Instruction with type ('edit' or 'question'),
+ *     trigger, command, args, note, instruction, variants (null unless
+ *     requested) and error (null when valid), or null if the content isn't
+ *     addressed to the AI
+ */
+function parseCommentInstruction(content, triggers, prompts = []) {
+  const text = (content || '').trim();
+  
+  for (const trigger of triggers) {
+    const word = trigger.replace(/:$/, '');
+    if (!word || text.substring(0, word.length).toLowerCase() !== word.toLowerCase()) {
+      continue;
     }
     
-    if (!validateCommentId(fileId, commentId)) {
-      Logger.log("aiedit-debug: Comment validation failed");
-      throw new Error("The comment no longer exists or is inaccessible");
+    // A trigger that ends in a letter must be a whole word
+    let rest = text.substring(word.length);
+    if (/\w$/.test(word) && !/^($|[\s:/?])/.test(rest)) {
+      continue;
     }
     
-    // Get the comment and verify it exists with full details
-    let comment;
-    try {
-      // First log the API request we're about to make
-      Logger.log('aiedit-debug: Requesting comment from Drive API', {
-        fileId: fileId,
-        commentId: commentId,
-        requestedFields: 'id,quotedFileContent,anchor,resolved,content,createdTime,modifiedTime,replies'
-      });
-
-      comment = Drive.Comments.get(fileId, commentId, {
-        fields: "id,content,resolved,anchor,quotedFileContent,replies",
-        includeDeleted: false
-      });
-      
-      // Log the raw API response
-      Logger.log("aiedit-debug: Raw Drive API response", {
-        response: JSON.stringify(comment, null, 2)
-      });
-
-      // Log parsed details
-      Logger.log("aiedit-debug: Parsed comment details", {
-        commentId: commentId,
-        exists: !!comment,
-        hasQuotedContent: comment ? !!comment.quotedFileContent : false,
-        quotedContentLength: comment && comment.quotedFileContent ? comment.quotedFileContent.value.length : 0,
-        resolved: comment ? comment.resolved : null,
-        createdTime: comment ? comment.createdTime : null,
-        modifiedTime: comment ? comment.modifiedTime : null,
-        hasAnchor: comment ? !!comment.anchor : false,
-        hasReplies: comment ? (comment.replies && comment.replies.length > 0) : false,
-        commentKeys: comment ? Object.keys(comment) : [],
-        content: comment ? comment.content : null
-      });
-    } catch (getError) {
-      Logger.log("aiedit-debug: Failed to get comment details", {
-        error: getError.toString(),
-        stack: getError.stack,
-        commentId: commentId
-      });
-      throw new Error("Failed to get comment details: " + getError.message);
+    const count = rest.match(/^\s+x(\d+)(?=$|[\s:/])/i);
+    if (count) {
+      rest = rest.substring(count[0].length);
     }
     
-    Logger.log("aiedit-debug: Retrieved comment", {
-      exists: !!comment,
-      hasQuotedContent: comment ? !!comment.quotedFileContent : false,
-      resolved: comment ? comment.resolved : null
-    });
+    const hasColon = /^\s*:/.test(rest);
+    const body = rest.trim().replace(/^:/, '').trim();
+    const parsed = {
+      type: 'edit', trigger: trigger, command: null, args: '', note: '', instruction: '',
+      variants: count ? Number(count[1]) : null, error: null
+    };
+    if (parsed.variants !== null && (parsed.variants < 1 || parsed.variants > MAX_COMMENT_VARIANTS)) {
+      parsed.error = `Ask for between 1 and ${MAX_COMMENT_VARIANTS} variants`;
+    }
     
-    if (!comment) {
-      Logger.log("aiedit-debug: Comment not found", { commentId: commentId });
-      throw new Error("Could not find the specified comment");
+    if (!count && /^\s*\?/.test(rest)) {
+      parsed.type = 'question';
+      parsed.instruction = rest.trim().substring(1).trim();
+      if (!parsed.instruction) {
+        parsed.error = `Add a question after "${word}?"`;
+      }
+      return parsed;
     }
     
-    if (comment.resolved) {
-      Logger.log("aiedit-debug: Comment already resolved", {
-        commentId: commentId,
-        status: comment.status,
-        resolved: comment.resolved
-      });
-      throw new Error("This comment has already been resolved");
+    if (body.startsWith('/')) {
+      // Docs turns straight quotes into curly ones as you type
+      const match = body.replace(/[\u201C\u201D\u201E]/g, '"')
+        .match(/^\/([\w-]+)\s*("([^"]*)"|[^:]*?)\s*(?::\s*([\s\S]*))?$/);
+      const command = match && COMMENT_COMMANDS[match[1].toLowerCase()];
+      if (parsed.error) {
+        return parsed;
+      }
+      if (!command) {
+        parsed.error = `Unknown command "${body.split(/[\s:]/)[0]}". Available: ` +
+          Object.values(COMMENT_COMMANDS).map(known => known.usage).join(', ');
+        return parsed;
+      }
+      
+      parsed.command = match[1].toLowerCase();
+      parsed.args = (match[3] !== undefined ? match[3] : match[2]).trim();
+      parsed.note = (match[4] || '').trim();
+      if (command.needsArgs && !parsed.args) {
+        parsed.error = `Usage: ${trigger.replace(/:$/, '')} ${command.usage}`;
+        return parsed;
+      }
+      
+      try {
+        parsed.instruction = command.instruction(parsed.args, prompts || []) +
+          (parsed.note ? '\n' + parsed.note : '');
+      } catch (e) {
+        parsed.error = e.message;
+      }
+      return parsed;
     }
     
-    // Validate comment structure
-    if (!comment.content) {
-      Logger.log("aiedit-debug: Comment missing content", { commentId: commentId });
-      throw new Error("Comment is missing content");
+    if (trigger.endsWith(':') && !hasColon) {
+      continue;
     }
     
-    if (!comment.quotedFileContent || !comment.quotedFileContent.value) {
-      throw new Error("The comment is missing the original text selection");
+    parsed.instruction = body;
+    if (!parsed.instruction && !parsed.error) {
+      parsed.error = `Add an instruction after "${trigger}"`;
+    }
+    return parsed;
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether a comment addressed to the AI is still waiting on the
+ * pipeline: open, and never processed, rejected, awaiting review, answered
+ * with a follow-up question since, or claimed by another sidebar
+ * 
+ * @param {Object} comment - Comment object from Drive API
+ * @param {Object} thread - Thread from getCommentThread
+ * @return {Boolean} True if the comment belongs in the queue
+ */
+function isQueuedAIComment(comment, thread) {
+  // Get current state from replies
+  const state = getCommentState(comment);
+  
+  // Comment is eligible if:
+  // 1. Never processed (no state)
+  // 2. Was rejected (has REJECTED state)
+  // 3. Carries a suggestion awaiting review (has PENDING_REVIEW state)
+  // 4. Was answered, and someone has asked a follow-up question
+  // 5. Is claimed by someone else, so the sidebar can show it as in progress
+  const isEligible = !state || state === COMMENT_STATE.REJECTED || state === COMMENT_STATE.PENDING_REVIEW ||
+    state === COMMENT_STATE.PROCESSING || (state === COMMENT_STATE.ANSWERED && thread.followUps.length > 0);
+  
+  return !comment.resolved && isEligible;
+}
+
+/**
+ * Retrieves one page of document comments and returns the eligible AI
+ * comments on it, so the sidebar can load long comment lists incrementally.
+ * Comments addressed to the AI that can't be processed, such as an unknown
+ * command or no highlighted text, come back in the "invalid" state with the
+ * reason in error. Comments another sidebar is processing come back in the
+ * PROCESSING state with claimedBy and claimExpires.
+ * 
+ * @param {String} [pageToken] - nextPageToken from the previous page
+ * @param {Object} [options] - Options; prompts holds the saved prompts
+ *     ({name, prompt}) that /prompt commands can refer to
+ * @return {Object} Object with comments (as in getAIComments), nextPageToken
+ *     (null on the last page) and scanned, the number of comments on the page
+ */
+function getAICommentsPage(pageToken = null, options = {}) {
+  const doc = DocumentApp.getActiveDocument();
+  const fileId = doc.getId();
+  
+  try {
+    const request = {
+      fields: "nextPageToken,comments(id,content,quotedFileContent,replies,anchor,resolved,author(displayName),createdTime)",
+      pageSize: COMMENT_PAGE_SIZE,
+      includeDeleted: false
+    };
+    if (pageToken) {
+      request.pageToken = pageToken;
     }
+    const response = Drive.Comments.list(fileId, request);
     
-    // Store original text
-    originalText = comment.quotedFileContent.value;
+    const comments = response.comments || [];
+    const triggers = getCommentTriggers();
+    const prompts = options.prompts || [];
     
-    // Verify text location before proceeding
-    Logger.log("aiedit-debug: Verifying text location", {
-      originalTextLength: originalText.length
+    const aiComments = [];
+    comments.forEach(comment => {
+      const parsed = parseCommentInstruction(comment.content, triggers, prompts);
+      if (!parsed) {
+        return;
+      }
+      const thread = getCommentThread(comment, triggers, prompts);
+      if (isQueuedAIComment(comment, thread)) {
+        aiComments.push({ comment: comment, parsed: parsed, thread: thread });
+      }
     });
+    Logger.log("aiedit: Found " + aiComments.length + " eligible AI comments in a page of " + comments.length);
     
-    const verifyResult = verifyTextLocation(fileId, commentId, originalText);
-    Logger.log("aiedit-debug: Text location verification result", verifyResult);
-    
-    if (!verifyResult.success) {
-      throw new Error(verifyResult.error || "Could not verify text location");
-    }
-    location = verifyResult.location;
+    const sectionIndex = aiComments.length > 0 ? buildSectionIndex(doc.getBody()) : [];
     
-    // Prepare sanitized text
-    const sanitizedText = sanitizeText(suggestedText);
-    Logger.log("aiedit-debug: Sanitized suggested text", {
-      originalLength: suggestedText.length,
-      sanitizedLength: sanitizedText.length,
-      changed: sanitizedText !== suggestedText
+    // Map to our internal format with full context
+    const mapped = aiComments.map(({ comment, parsed, thread }) => {
+      const state = getCommentState(comment);
+      const claim = state === COMMENT_STATE.PROCESSING ? getProcessingClaim(comment) : null;
+      const quotedText = comment.quotedFileContent ? comment.quotedFileContent.value || '' : '';
+      const placement = findCommentSection(sectionIndex, quotedText);
+      
+      // Follow-ups after a pending suggestion ask for a new one
+      const hasPending = state === COMMENT_STATE.PENDING_REVIEW && thread.followUps.length === 0;
+      
+      const template = parsePromptTemplate([parsed.instruction].concat(thread.followUps).join('\n'));
+      let error = parsed.error || template.errors[0] || null;
+      if (!error && (!quotedText || !comment.anchor)) {
+        error = "Highlight the text the instruction applies to before adding the comment";
+      }
+      
+      return {
+        id: comment.id,
+        type: parsed.type,
+        content: comment.content.trim(),
+        instruction: parsed.instruction,
+        command: parsed.command,
+        args: parsed.args,
+        variants: thread.variants || parsed.variants,
+        error: error,
+        text: quotedText,
+        anchor: comment.anchor,
+        state: error ? "invalid" : state || "unprocessed",
+        suggestion: hasPending ? getPendingSuggestion(comment) : null,
+        history: thread.history,
+        followUps: thread.followUps,
+        templateFields: template.fields,
+        author: comment.author ? comment.author.displayName : '',
+        createdTime: comment.createdTime || null,
+        section: placement.section,
+        position: placement.position,
+        claimedBy: claim ? claim.user : null,
+        claimExpires: claim ? claim.expiresAt : null
+      };
     });
     
-    if (!sanitizedText) {
-      throw new Error("The suggested text is empty after sanitization");
-    }
-    
-    if (accepted) {
-      try {
-        // Get the text element and verify indices
-        const textElement = location.element.asText();
-        const elementLength = textElement.getText().length;
-        
-        Logger.log("aiedit-debug: Text element verification", {
-          elementLength: elementLength,
-          startOffset: location.startOffset,
-          endOffset: location.endOffset,
-          textToReplaceLength: location.endOffset - location.startOffset + 1
+    return {
+      comments: mapped,
+      nextPageToken: response.nextPageToken || null,
+      scanned: comments.length
+    };
+  } catch (e) {
+    Logger.log("aiedit: Error retrieving comments: " + e.message);
+    throw new Error("Failed to retrieve comments: " + e.message);
+  }
+}
+
+/**
+ * Retrieves all comments in the document that start with a comment trigger
+ * ("AI:" by default) and returns their text selections and instructions,
+ * following every page of the comment list
+ * 
+ * @param {Object} [options] - Options passed to getAICommentsPage
+ * @return {Array} Array of objects containing comment info
+ */
+function getAIComments(options = {}) {
+  const aiComments = [];
+  let pageToken = null;
+  
+  do {
+    const page = getAICommentsPage(pageToken, options);
+    aiComments.push(...page.comments);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  
+  Logger.log("aiedit: Found " + aiComments.length + " eligible AI comments");
+  return aiComments;
+}
+
+/**
+ * Validate comment ID format and existence
+ * 
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID to validate
+ * @return {Boolean} Whether the comment ID is valid
+ */
+function validateCommentId(fileId, commentId) {
+  if (!commentId || typeof commentId !== 'string' || commentId.length === 0) {
+    Logger.log("aiedit-debug: Invalid comment ID format", {
+      commentId: commentId,
+      type: typeof commentId
+    });
+    return false;
+  }
+  
+  try {
+    const comment = Drive.Comments.get(fileId, commentId, {
+      fields: 'id'
+    });
+    Logger.log("aiedit-debug: Comment validation result", {
+      commentId: commentId,
+      exists: !!comment,
+      matches: comment ? (comment.id === commentId) : false
+    });
+    return comment && comment.id === commentId;
+  } catch (e) {
+    Logger.log("aiedit-debug: Error validating comment ID", {
+      commentId: commentId,
+      error: e.toString(),
+      errorName: e.name,
+      errorStack: e.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Get when a PROCESSING reply's lease runs out. Markers written before
+ * leases were recorded expire a lease period after they were last modified.
+ *
+ * @param {Object} reply - Reply object from Drive API
+ * @return {Date|null} Expiry, or null if the reply is not a PROCESSING marker
+ */
+function getProcessingLeaseExpiry(reply) {
+  const content = reply.content || '';
+  if (!content.includes(COMMENT_STATE.PROCESSING)) {
+    return null;
+  }
+  
+  const match = content.match(new RegExp('^' + PROCESSING_LEASE_LABEL + ' (.+)$', 'm'));
+  const expiry = match
+    ? new Date(match[1].trim())
+    : new Date(new Date(reply.modifiedTime || reply.createdTime || 0).getTime() + PROCESSING_LEASE_MS);
+  return isNaN(expiry.getTime()) ? new Date(0) : expiry;
+}
+
+/**
+ * Checks whether a reply is a PROCESSING marker whose lease has run out
+ *
+ * @param {Object} reply - Reply object from Drive API
+ * @return {Boolean} True if the claim was abandoned
+ */
+function isExpiredProcessingMarker(reply) {
+  const expiry = getProcessingLeaseExpiry(reply);
+  return expiry !== null && expiry.getTime() <= Date.now();
+}
+
+/**
+ * Get the claim currently holding a comment
+ *
+ * @param {Object} comment - Comment object from Drive API, with reply authors
+ * @return {Object|null} Claim with replyId, user and expiresAt, or null if
+ *     the comment is free
+ */
+function getProcessingClaim(comment) {
+  if (getCommentState(comment) !== COMMENT_STATE.PROCESSING) {
+    return null;
+  }
+  
+  const replies = comment.replies || [];
+  for (let i = replies.length - 1; i >= 0; i--) {
+    const reply = replies[i];
+    const expiry = getProcessingLeaseExpiry(reply);
+    if (expiry && expiry.getTime() > Date.now()) {
+      const author = reply.author || {};
+      return {
+        replyId: reply.id,
+        user: author.me ? 'you in another sidebar' : author.displayName || 'another user',
+        expiresAt: expiry.toISOString()
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Format the PROCESSING reply that claims a comment
+ *
+ * @param {String} activity - What the holder is doing, e.g. "Generating AI suggestion"
+ * @param {Date} expiresAt - When the lease runs out
+ * @return {String} Reply content
+ */
+function formatProcessingMarker(activity, expiresAt) {
+  return `${COMMENT_STATE.PROCESSING} ${activity}...\n${PROCESSING_LEASE_LABEL} ${expiresAt.toISOString()}`;
+}
+
+/**
+ * Claim a comment by adding a PROCESSING reply with a lease to its thread.
+ * Apps Script has no per-comment locks, so the document lock makes checking
+ * for an existing claim and adding ours atomic across every user of the
+ * document; the reply then holds the comment until it is cleared or expires.
+ *
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} activity - What the claim is for, shown to collaborators
+ * @return {Object} Result with success status, the marker reply ID and
+ *     leaseMs; when someone else holds the comment, claimedBy and expiresAt
+ */
+function claimComment(fileId, commentId, activity) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const comment = Drive.Comments.get(fileId, commentId, {
+      fields: 'id,resolved,replies(id,content,createdTime,modifiedTime,author(displayName,me))',
+      includeDeleted: false
+    });
+    if (comment.resolved) {
+      throw new Error("This comment has already been resolved");
+    }
+    
+    const claim = getProcessingClaim(comment);
+    if (claim) {
+      logDebug(LOG_CONFIG.CATEGORIES.STATE, "Comment is claimed by someone else", {
+        commentId: commentId,
+        claimedBy: claim.user,
+        expiresAt: claim.expiresAt
+      });
+      return {
+        success: false,
+        error: `This comment is in progress by ${claim.user}`,
+        claimedBy: claim.user,
+        expiresAt: claim.expiresAt
+      };
+    }
+    
+    const expiresAt = new Date(Date.now() + PROCESSING_LEASE_MS);
+    const reply = Drive.Replies.create(
+      { content: formatProcessingMarker(activity, expiresAt) },
+      fileId,
+      commentId,
+      { fields: 'id' }
+    );
+    
+    // Tidy up markers left by abandoned claims; only their authors can remove them
+    (comment.replies || []).filter(isExpiredProcessingMarker).forEach(stale => {
+      try {
+        Drive.Replies.remove(fileId, commentId, stale.id);
+      } catch (e) {
+        logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Could not remove expired processing marker", {
+          commentId: commentId,
+          replyId: stale.id,
+          error: e.toString()
         });
-        
-        // Validate indices are within bounds
-        if (location.startOffset < 0 || location.endOffset >= elementLength) {
-          throw new Error(`Invalid text range: start=${location.startOffset}, end=${location.endOffset}, length=${elementLength}`);
+      }
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Claimed comment", {
+      commentId: commentId,
+      replyId: reply.id,
+      activity: activity,
+      expiresAt: expiresAt.toISOString()
+    });
+    
+    return { success: true, replyId: reply.id, leaseMs: PROCESSING_LEASE_MS };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Mark a comment as being processed by claiming it with a PROCESSING reply.
+ * The claim keeps other sidebars from picking up the same comment while the
+ * AI suggestion is generated; renew it with renewCommentProcessing.
+ *
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @return {Object} Result from claimComment
+ */
+function markCommentProcessing(fileId, commentId) {
+  try {
+    if (!validateCommentId(fileId, commentId)) {
+      throw new Error("The comment no longer exists or is inaccessible");
+    }
+
+    return claimComment(fileId, commentId, 'Generating AI suggestion');
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error marking comment as processing", {
+      commentId: commentId,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Extend the lease of a claim from markCommentProcessing while generation
+ * is still running
+ *
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} replyId - ID of the marker reply from markCommentProcessing
+ * @return {Object} Result with success status
+ */
+function renewCommentProcessing(fileId, commentId, replyId) {
+  const lock = LockService.getDocumentLock();
+  try {
+    lock.waitLock(10000);
+    if (!isLiveProcessingClaim(fileId, commentId, replyId)) {
+      throw new Error("The claim on this comment has expired");
+    }
+    
+    const expiresAt = new Date(Date.now() + PROCESSING_LEASE_MS);
+    Drive.Replies.update(
+      { content: formatProcessingMarker('Generating AI suggestion', expiresAt) },
+      fileId,
+      commentId,
+      replyId,
+      { fields: 'id' }
+    );
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Renewed comment claim", {
+      commentId: commentId,
+      replyId: replyId,
+      expiresAt: expiresAt.toISOString()
+    });
+    
+    return { success: true };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error renewing comment claim", {
+      commentId: commentId,
+      replyId: replyId,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Check that a claim from markCommentProcessing still holds a comment. Once
+ * the lease has run out the comment may belong to someone else. Call with
+ * the document lock held.
+ *
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} replyId - ID of the marker reply from markCommentProcessing
+ * @return {Boolean} True if the marker reply is the comment's live claim
+ */
+function isLiveProcessingClaim(fileId, commentId, replyId) {
+  const comment = Drive.Comments.get(fileId, commentId, {
+    fields: 'id,replies(id,content,createdTime,modifiedTime,author(displayName,me))',
+    includeDeleted: false
+  });
+  const claim = getProcessingClaim(comment);
+  return !!claim && claim.replyId === replyId;
+}
+
+/**
+ * Remove the PROCESSING marker reply once generation has finished or was
+ * cancelled, so the comment becomes eligible for processing again
+ *
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} replyId - ID of the marker reply from markCommentProcessing
+ * @return {Object} Result with success status
+ */
+function clearCommentProcessing(fileId, commentId, replyId) {
+  try {
+    if (!replyId) {
+      throw new Error("No processing marker to clear");
+    }
+
+    Drive.Replies.remove(fileId, commentId, replyId);
+
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Cleared comment processing marker", {
+      commentId: commentId,
+      replyId: replyId
+    });
+
+    return { success: true };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error clearing comment processing marker", {
+      commentId: commentId,
+      replyId: replyId,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Verify text location and return success status.
+ * 
+ * Text that spans several paragraphs, list items or table cells resolves to
+ * a location whose element, startOffset and endOffset cover the part in the
+ * first element, with blocks listing every paragraph in the range and
+ * lastEndOffset marking where the range ends in the last one.
+ * 
+ * @param {String} fileId - Document ID
+ * @param {String} commentId - Comment ID
+ * @param {String} originalText - Text to verify
+ * @return {Object} Success status and location info
+ */
+function verifyTextLocation(fileId, commentId, originalText) {
+  try {
+    // Get document
+    const doc = DocumentApp.getActiveDocument();
+    
+    // Validate comment ID first
+    if (!validateCommentId(fileId, commentId)) {
+      return { success: false, error: "Invalid comment ID" };
+    }
+    
+    // Get fresh comment data
+    const comment = Drive.Comments.get(fileId, commentId, {
+      fields: "id,anchor,quotedFileContent,content"
+    });
+    
+    if (!comment || !comment.anchor || !comment.quotedFileContent) {
+      return { 
+        success: false, 
+        error: "Comment is missing required data" 
+      };
+    }
+    
+    // Get the document body
+    const body = doc.getBody();
+    
+    // Find all occurrences of the text
+    const foundElements = findTextMatches(body, originalText);
+    
+    // Selections across paragraphs are quoted with a newline between them
+    if (splitQuotedLines(originalText).length > 1) {
+      if (foundElements.length === 1) {
+        return { success: true, location: foundElements[0] };
+      }
+      return {
+        success: false,
+        error: foundElements.length === 0
+          ? "Could not find the text in the document"
+          : "Could not reliably determine text location"
+      };
+    }
+    
+    if (foundElements.length === 0) {
+      return {
+        success: false,
+        error: "Could not find the text in the document"
+      };
+    }
+    
+    // If we have exactly one match, use it
+    if (foundElements.length === 1) {
+      const match = foundElements[0];
+      return {
+        success: true,
+        location: {
+          element: match.element,
+          startOffset: match.startOffset,
+          endOffset: match.endOffset,
+          anchorStart: match.startOffset,
+          anchorEnd: match.endOffset
         }
-        
-        Logger.log("aiedit-debug: Attempting text replacement");
-        
-        // Replace text in a single operation to maintain consistency
-        Logger.log('aiedit-debug: Text replacement details', {
-          startOffset: location.startOffset,
-          endOffset: location.endOffset,
-          originalText: textElement.getText().substring(location.startOffset, location.endOffset + 1),
-          sanitizedText: sanitizedText
-        });
-        // Use deleteText + insertText instead of replaceText since the API is finicky
-        Logger.log('aiedit-debug: Using deleteText + insertText', {
-          startOffset: location.startOffset,
-          endOffset: location.endOffset,
-          replacement: sanitizedText
-        });
-        textElement.deleteText(location.startOffset, location.endOffset);
-        textElement.insertText(location.startOffset, sanitizedText);
-        
-        // Verify the replacement
+      };
+    }
+    
+    // Multiple matches - try to find the best one using context
+    const quotedContext = comment.quotedFileContent.value;
+    let bestMatch = null;
+    let bestScore = 0;
+    
+    for (const match of foundElements) {
+      const elementText = match.element.getText();
+      const contextStart = Math.max(0, match.startOffset - 50);
+      const contextEnd = Math.min(elementText.length, match.endOffset + 51);
+      const context = elementText.substring(contextStart, contextEnd);
+      
+      const contextSimilarity = calculateSimilarity(context, quotedContext);
+      
+      if (contextSimilarity > bestScore && contextSimilarity > 0.7) {
+        bestScore = contextSimilarity;
+        bestMatch = match;
+      }
+    }
+    
+    if (bestMatch && bestScore > 0.8) {  // 80% confidence threshold
+      return {
+        success: true,
+        location: {
+          element: bestMatch.element,
+          startOffset: bestMatch.startOffset,
+          endOffset: bestMatch.endOffset,
+          anchorStart: bestMatch.startOffset,
+          anchorEnd: bestMatch.endOffset
+        }
+      };
+    }
+    
+    return {
+      success: false,
+      error: "Could not reliably determine text location"
+    };
+    
+  } catch (e) {
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+}
+
+/**
+ * Find every occurrence of text in the document body. Text with several
+ * lines is matched across paragraphs as described in verifyTextLocation.
+ * 
+ * @param {Body} body - The document body
+ * @param {String} text - Text to find
+ * @return {Array<Object>} Locations with element, startOffset, endOffset,
+ *     anchorStart and anchorEnd, plus blocks and lastEndOffset for
+ *     multi-paragraph matches
+ */
+function findTextMatches(body, text) {
+  if (splitQuotedLines(text).length > 1) {
+    return findMultiElementRanges(body, text);
+  }
+  
+  // Normalize the text for searching
+  const controlCharsRegex = new RegExp('[\\u0000-\\u001F\\u007F-\\u009F]', 'g');
+  const lineSeparatorsRegex = new RegExp('\\u2028|\\u2029', 'g');
+  const whitespaceRegex = new RegExp('\\s+', 'g');
+  
+  const normalizedText = text
+    .replace(controlCharsRegex, "")
+    .replace(lineSeparatorsRegex, "\n")
+    .replace(whitespaceRegex, " ")
+    .trim();
+  if (!normalizedText) {
+    return [];
+  }
+  
+  // findText takes a regular expression; match any run of whitespace
+  // where the normalized text has a space
+  const pattern = escapeRegExp(normalizedText).replace(/ /g, '\\s+');
+  
+  const matches = [];
+  let searchResult = body.findText(pattern);
+  while (searchResult) {
+    matches.push({
+      element: searchResult.getElement(),
+      startOffset: searchResult.getStartOffset(),
+      endOffset: searchResult.getEndOffsetInclusive(),
+      anchorStart: searchResult.getStartOffset(),
+      anchorEnd: searchResult.getEndOffsetInclusive()
+    });
+    searchResult = body.findText(pattern, searchResult);
+  }
+  return matches;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * 
+ * @param {String} text - Literal text
+ * @return {String} Pattern matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split quoted comment text into its paragraphs, with whitespace collapsed
+ * and empty paragraphs dropped
+ * 
+ * @param {String} text - Quoted text from a comment anchor
+ * @return {Array<String>} Normalized non-empty lines
+ */
+function splitQuotedLines(text) {
+  return (text || '')
+    .split(/\r\n?|\n|\u2028|\u2029/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * List the paragraphs and list items in a container in document order,
+ * including those inside tables
+ * 
+ * @param {Element} container - Body, table or table cell
+ * @param {Array} [blocks] - List to append to
+ * @return {Array<Paragraph|ListItem>} The text blocks
+ */
+function getTextBlocks(container, blocks = []) {
+  for (let i = 0; i < container.getNumChildren(); i++) {
+    const child = castElement(container.getChild(i));
+    const type = child.getType();
+    if (type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) {
+      blocks.push(child);
+    } else if (typeof child.getNumChildren === 'function') {
+      getTextBlocks(child, blocks);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Find every place quoted text spanning several paragraphs occurs: it must
+ * end the first paragraph, fill the ones in between and start the last.
+ * Empty paragraphs inside the range are skipped when matching.
+ * 
+ * @param {Body} body - The document body
+ * @param {String} quotedText - Quoted text with a newline between paragraphs
+ * @return {Array<Object>} Locations as returned by verifyTextLocation
+ */
+function findMultiElementRanges(body, quotedText) {
+  const lines = splitQuotedLines(quotedText);
+  const allBlocks = getTextBlocks(body);
+  const blocks = allBlocks.filter(block => block.getText().trim());
+  const linePattern = line => escapeRegExp(line).replace(/ /g, '\\s+');
+  const head = new RegExp(linePattern(lines[0]) + '\\s*$');
+  const tail = new RegExp('^\\s*' + linePattern(lines[lines.length - 1]));
+  const ranges = [];
+  
+  for (let i = 0; i + lines.length <= blocks.length; i++) {
+    const candidates = blocks.slice(i, i + lines.length);
+    const first = candidates[0].getText().match(head);
+    const last = candidates[candidates.length - 1].getText().match(tail);
+    const middleMatches = candidates.slice(1, -1)
+      .every((block, j) => block.getText().replace(/\s+/g, ' ').trim() === lines[j + 1]);
+    if (!first || !last || !middleMatches) {
+      continue;
+    }
+    
+    const firstBlock = candidates[0];
+    const lastBlock = candidates[candidates.length - 1];
+    const text = firstBlock.editAsText();
+    ranges.push({
+      element: text,
+      startOffset: first.index,
+      endOffset: text.getText().length - 1,
+      anchorStart: first.index,
+      anchorEnd: text.getText().length - 1,
+      blocks: allBlocks.slice(allBlocks.indexOf(firstBlock), allBlocks.indexOf(lastBlock) + 1),
+      lastEndOffset: last[0].length - 1
+    });
+  }
+  
+  return ranges;
+}
+
+/**
+ * Empty a paragraph that falls inside a replaced range, removing it unless
+ * it is the last one in its container (which Docs doesn't allow)
+ * 
+ * @param {Paragraph|ListItem} block - The paragraph
+ */
+function removeTextBlock(block) {
+  const parent = block.getParent();
+  if (parent.getChildIndex(block) < parent.getNumChildren() - 1) {
+    block.removeFromParent();
+  } else if (block.getText().length > 0) {
+    block.editAsText().setText('');
+  }
+}
+
+/**
+ * Replace a range spanning several paragraphs from verifyTextLocation.
+ * The paragraphs in between are removed. Plain replacement text starts at
+ * the range in the first paragraph, its last line continues the text left
+ * after the range in the last paragraph, and lines in between become
+ * paragraphs styled like the first; a single line joins the two paragraphs.
+ * Markdown is rendered as with single-paragraph replacements.
+ * 
+ * @param {Object} location - Location with blocks and lastEndOffset
+ * @param {String} replacement - Sanitized replacement text
+ * @return {String} The text now at location.startOffset in the first paragraph
+ */
+function replaceMultiElementRange(location, replacement) {
+  const blocks = location.blocks;
+  const first = blocks[0];
+  const last = blocks[blocks.length - 1];
+  
+  // Only paragraphs in the same container can be joined
+  const firstPath = getElementPath(first).path;
+  const lastPath = getElementPath(last).path;
+  const sameContainer = firstPath.length === lastPath.length &&
+    firstPath.slice(0, -1).join('.') === lastPath.slice(0, -1).join('.') &&
+    first.getType() === last.getType();
+  
+  // Work from the end so earlier elements keep their positions
+  const lastText = last.editAsText();
+  const keepLast = location.lastEndOffset < lastText.getText().trimEnd().length - 1;
+  if (keepLast) {
+    lastText.deleteText(0, location.lastEndOffset);
+  } else {
+    removeTextBlock(last);
+  }
+  blocks.slice(1, -1).reverse().forEach(removeTextBlock);
+  
+  // Lines of plain text map one-to-one onto paragraphs; anything else is markdown
+  const text = first.editAsText();
+  const end = text.getText().length - 1;
+  if (replacement.split('\n').some(line => line.trim() && hasMarkdownFormatting(line))) {
+    // The text after the range starts a paragraph of its own after the rendered blocks
+    const leading = keepLast ? lastText.getText().search(/\S/) : 0;
+    if (leading > 0) {
+      lastText.deleteText(0, leading - 1);
+    }
+    return replaceWithMarkdown(first, location.startOffset, end, replacement).text;
+  }
+  
+  if (end >= location.startOffset) {
+    text.deleteText(location.startOffset, end);
+  }
+  const paragraphs = replacement.split('\n').map(line => line.trim()).filter(Boolean);
+  // The last line continues the text after the range; a single line (or
+  // none) joins that text onto the first paragraph where Docs allows it
+  const trailing = keepLast && paragraphs.length > 1 ? paragraphs.pop() : null;
+  if (paragraphs.length > 0) {
+    text.insertText(location.startOffset, paragraphs[0]);
+  }
+  if (trailing) {
+    lastText.insertText(0, trailing);
+  } else if (keepLast && sameContainer &&
+             first.getParent().getChildIndex(last) === first.getParent().getChildIndex(first) + 1) {
+    last.merge();
+  } else if (keepLast) {
+    const leading = lastText.getText().search(/\S/);
+    if (leading > 0) {
+      lastText.deleteText(0, leading - 1);
+    }
+  }
+  if (paragraphs.length === 0) {
+    return '';
+  }
+  
+  // Further paragraphs copy the first so they keep its heading, list and alignment
+  const container = first.getParent();
+  const index = container.getChildIndex(first);
+  const isListItem = first.getType() === DocumentApp.ElementType.LIST_ITEM;
+  paragraphs.slice(1).forEach((line, i) => {
+    const copy = isListItem
+      ? container.insertListItem(index + 1 + i, first.copy())
+      : container.insertParagraph(index + 1 + i, first.copy());
+    copy.editAsText().setText(line);
+  });
+  
+  return paragraphs[0];
+}
+
+/**
+ * Calculate similarity between two strings
+ * Uses Levenshtein distance normalized by length
+ * 
+ * @param {String} str1 - First string
+ * @param {String} str2 - Second string
+ * @return {Number} Similarity score between 0 and 1
+ */
+function calculateSimilarity(str1, str2) {
+  if (!str1 || !str2) return 0;
+  
+  // Normalize strings
+  str1 = str1.replace(/\s+/g, ' ').trim().toLowerCase();
+  str2 = str2.replace(/\s+/g, ' ').trim().toLowerCase();
+  
+  if (str1 === str2) return 1;
+  
+  const len1 = str1.length;
+  const len2 = str2.length;
+  const matrix = Array(len2 + 1).fill().map(() => Array(len1 + 1).fill(0));
+  
+  for (let i = 0; i <= len1; i++) matrix[0][i] = i;
+  for (let j = 0; j <= len2; j++) matrix[j][0] = j;
+  
+  for (let j = 1; j <= len2; j++) {
+    for (let i = 1; i <= len1; i++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      matrix[j][i] = Math.min(
+        matrix[j - 1][i] + 1,      // deletion
+        matrix[j][i - 1] + 1,      // insertion
+        matrix[j - 1][i - 1] + cost // substitution
+      );
+    }
+  }
+  
+  const distance = matrix[len2][len1];
+  const maxLen = Math.max(len1, len2);
+  return maxLen === 0 ? 1 : 1 - (distance / maxLen);
+}
+
+/**
+ * Highlight text in the document to indicate a conflict or issue
+ * 
+ * @param {Object} location - Location information for the text
+ * @param {String} color - Background color for highlighting
+ */
+function highlightConflictArea(location) {
+  if (!location || !location.element) return;
+  
+  try {
+    const originalStyle = location.element.getBackgroundColor();
+    
+    // Highlight in yellow to indicate conflict
+    location.element.setBackgroundColor(
+      location.startOffset,
+      location.endOffset,
+      '#FFEB3B'  // Material Design Yellow 500
+    );
+    
+    // Reset highlight after 5 seconds
+    sleep(5000);
+    location.element.setBackgroundColor(
+      location.startOffset,
+      location.endOffset,
+      originalStyle
+    );
+  } catch (e) {
+    Logger.log("aiedit: Warning - Could not highlight conflict area: " + e.message);
+  }
+}
+
+/**
+ * Check for document changes and verify text integrity
+ * 
+ * @param {String} initialVersion - Initial document version
+ * @param {String} currentText - Current text to verify
+ * @param {Object} location - Location information
+ * @return {Object} Status object with change details
+ */
+function checkDocumentChanges(initialVersion, currentText, location) {
+  const doc = DocumentApp.getActiveDocument();
+  const currentVersion = doc.getBody().getText();
+  
+  if (currentVersion === initialVersion) {
+    return { changed: false };
+  }
+  
+  // Document changed, analyze the changes
+  const originalTextIntact = currentText.substring(
+    location.anchorStart,
+    location.anchorEnd + 1
+  ) === location.element.getText().substring(
+    location.startOffset,
+    location.endOffset + 1
+  );
+  
+  return {
+    changed: true,
+    targetAreaChanged: !originalTextIntact,
+    changeLocation: location
+  };
+}
+
+/**
+ * Apply AI-generated text by resolving the comment and updating the document
+ * 
+ * @param {String} fileId - ID of the document
+ * @param {String} commentId - ID of the comment
+ * @param {String} suggestedText - AI-generated replacement text
+ * @param {Boolean} accepted - Whether the suggestion was accepted
+ * @param {Object} [choice] - For comments with alternative suggestions: index
+ *     of the accepted one and all variants, recorded in the thread
+ * @return {Boolean} Success status
+ */
+function applyAIEdit(fileId, commentId, suggestedText, accepted, choice = null) {
+  // Get active document - needed for text operations later
+  const doc = DocumentApp.getActiveDocument();
+  let originalText = null;
+  let location = null;
+  let insertedText = null;
+  let claim = null;
+  
+  Logger.log("aiedit-debug: Starting applyAIEdit", {
+    fileId: fileId,
+    commentId: commentId,
+    suggestedTextLength: suggestedText ? suggestedText.length : 0,
+    accepted: accepted,
+    variant: choice ? choice.index : null,
+    documentId: doc.getId() // Use doc to log the document ID
+  });
+  
+  try {
+    // Validate inputs
+    if (!fileId || !commentId || !suggestedText) {
+      Logger.log("aiedit-debug: Missing required parameters", {
+        hasFileId: !!fileId,
+        hasCommentId: !!commentId,
+        hasSuggestedText: !!suggestedText
+      });
+      throw new Error("Missing required parameters for applying AI edit");
+    }
+    
+    if (!validateCommentId(fileId, commentId)) {
+      Logger.log("aiedit-debug: Comment validation failed");
+      throw new Error("The comment no longer exists or is inaccessible");
+    }
+    
+    // Hold the comment so a collaborator can't apply or regenerate it at the same time
+    claim = claimComment(fileId, commentId, accepted ? 'Applying AI suggestion' : 'Rejecting AI suggestion');
+    if (!claim.success) {
+      throw new Error(claim.error);
+    }
+    
+    // Get the comment and verify it exists with full details
+    let comment;
+    try {
+      // First log the API request we're about to make
+      Logger.log('aiedit-debug: Requesting comment from Drive API', {
+        fileId: fileId,
+        commentId: commentId,
+        requestedFields: 'id,quotedFileContent,anchor,resolved,content,createdTime,modifiedTime,replies'
+      });
+
+      comment = Drive.Comments.get(fileId, commentId, {
+        fields: "id,content,resolved,anchor,quotedFileContent,replies",
+        includeDeleted: false
+      });
+      
+      // Log the raw API response
+      Logger.log("aiedit-debug: Raw Drive API response", {
+        response: JSON.stringify(comment, null, 2)
+      });
+
+      // Log parsed details
+      Logger.log("aiedit-debug: Parsed comment details", {
+        commentId: commentId,
+        exists: !!comment,
+        hasQuotedContent: comment ? !!comment.quotedFileContent : false,
+        quotedContentLength: comment && comment.quotedFileContent ? comment.quotedFileContent.value.length : 0,
+        resolved: comment ? comment.resolved : null,
+        createdTime: comment ? comment.createdTime : null,
+        modifiedTime: comment ? comment.modifiedTime : null,
+        hasAnchor: comment ? !!comment.anchor : false,
+        hasReplies: comment ? (comment.replies && comment.replies.length > 0) : false,
+        commentKeys: comment ? Object.keys(comment) : [],
+        content: comment ? comment.content : null
+      });
+    } catch (getError) {
+      Logger.log("aiedit-debug: Failed to get comment details", {
+        error: getError.toString(),
+        stack: getError.stack,
+        commentId: commentId
+      });
+      throw new Error("Failed to get comment details: " + getError.message);
+    }
+    
+    Logger.log("aiedit-debug: Retrieved comment", {
+      exists: !!comment,
+      hasQuotedContent: comment ? !!comment.quotedFileContent : false,
+      resolved: comment ? comment.resolved : null
+    });
+    
+    if (!comment) {
+      Logger.log("aiedit-debug: Comment not found", { commentId: commentId });
+      throw new Error("Could not find the specified comment");
+    }
+    
+    if (comment.resolved) {
+      Logger.log("aiedit-debug: Comment already resolved", {
+        commentId: commentId,
+        status: comment.status,
+        resolved: comment.resolved
+      });
+      throw new Error("This comment has already been resolved");
+    }
+    
+    // Validate comment structure
+    if (!comment.content) {
+      Logger.log("aiedit-debug: Comment missing content", { commentId: commentId });
+      throw new Error("Comment is missing content");
+    }
+    
+    if (!comment.quotedFileContent || !comment.quotedFileContent.value) {
+      throw new Error("The comment is missing the original text selection");
+    }
+    
+    // Store original text
+    originalText = comment.quotedFileContent.value;
+    
+    // Verify text location before proceeding
+    Logger.log("aiedit-debug: Verifying text location", {
+      originalTextLength: originalText.length
+    });
+    
+    const verifyResult = verifyTextLocation(fileId, commentId, originalText);
+    Logger.log("aiedit-debug: Text location verification result", verifyResult);
+    
+    if (!verifyResult.success) {
+      throw new Error(verifyResult.error || "Could not verify text location");
+    }
+    location = verifyResult.location;
+    
+    // Prepare sanitized text
+    const sanitizedText = sanitizeText(suggestedText);
+    Logger.log("aiedit-debug: Sanitized suggested text", {
+      originalLength: suggestedText.length,
+      sanitizedLength: sanitizedText.length,
+      changed: sanitizedText !== suggestedText
+    });
+    
+    if (!sanitizedText) {
+      throw new Error("The suggested text is empty after sanitization");
+    }
+    
+    if (accepted) {
+      try {
+        // Get the text element and verify indices
+        const textElement = location.element.asText();
+        const elementLength = textElement.getText().length;
+        
+        // Where the edit starts and what it replaces, for the edit journal
+        const position = getMatchPosition(location);
+        const replacedText = location.blocks
+          ? originalText
+          : textElement.getText().substring(location.startOffset, location.endOffset + 1);
+        
+        Logger.log("aiedit-debug: Text element verification", {
+          elementLength: elementLength,
+          startOffset: location.startOffset,
+          endOffset: location.endOffset,
+          textToReplaceLength: location.endOffset - location.startOffset + 1
+        });
+        
+        // Validate indices are within bounds
+        if (location.startOffset < 0 || location.endOffset >= elementLength) {
+          throw new Error(`Invalid text range: start=${location.startOffset}, end=${location.endOffset}, length=${elementLength}`);
+        }
+        
+        Logger.log("aiedit-debug: Attempting text replacement");
+        
+        // Replace text in a single operation to maintain consistency
+        Logger.log('aiedit-debug: Text replacement details', {
+          startOffset: location.startOffset,
+          endOffset: location.endOffset,
+          originalText: textElement.getText().substring(location.startOffset, location.endOffset + 1),
+          sanitizedText: sanitizedText
+        });
+        // Text that ends up in this element; rendered markdown may place the rest in new paragraphs
+        insertedText = sanitizedText;
+        
+        if (location.blocks) {
+          Logger.log('aiedit-debug: Replacing text across paragraphs', {
+            paragraphs: location.blocks.length,
+            startOffset: location.startOffset,
+            lastEndOffset: location.lastEndOffset
+          });
+          insertedText = replaceMultiElementRange(location, sanitizedText);
+        } else if (hasMarkdownFormatting(sanitizedText)) {
+          Logger.log('aiedit-debug: Rendering markdown replacement', {
+            startOffset: location.startOffset,
+            endOffset: location.endOffset
+          });
+          const paragraph = castElement(textElement.getParent());
+          const base = getTextOffsetInParagraph(textElement);
+          insertedText = replaceWithMarkdown(
+            paragraph,
+            base + location.startOffset,
+            base + location.endOffset,
+            sanitizedText
+          ).text;
+        } else {
+          // Edit only the words that changed so the rest keeps its formatting
+          const edits = applyTextDiff(
+            textElement,
+            location.startOffset,
+            textElement.getText().substring(location.startOffset, location.endOffset + 1),
+            sanitizedText
+          );
+          Logger.log('aiedit-debug: Applied replacement as a diff', {
+            startOffset: location.startOffset,
+            endOffset: location.endOffset,
+            edits: edits
+          });
+        }
+        
+        // Verify the replacement
         const currentText = textElement.getText();
-        const verifyText = currentText.substring(location.startOffset, location.startOffset + sanitizedText.length);
+        const verifyText = currentText.substring(location.startOffset, location.startOffset + insertedText.length);
         Logger.log('aiedit-debug: Replacement verification details', {
           currentTextLength: currentText.length,
           verifyStartOffset: location.startOffset,
-          verifyEndOffset: location.startOffset + sanitizedText.length,
+          verifyEndOffset: location.startOffset + insertedText.length,
           verifyTextLength: verifyText.length,
-          expectedLength: sanitizedText.length
+          expectedLength: insertedText.length
+        });
+        
+        Logger.log("aiedit-debug: Text replacement verification", {
+          expectedLength: insertedText.length,
+          actualLength: verifyText.length,
+          matches: verifyText === insertedText,
+          verifyText: verifyText,
+          insertedText: insertedText
+        });
+        
+        // Compare exact lengths first, then content
+        if (verifyText.length !== insertedText.length || verifyText !== insertedText) {
+          Logger.log("aiedit-debug: Text replacement verification failed", {
+            expectedLength: insertedText.length,
+            actualLength: verifyText.length,
+            expectedText: insertedText,
+            actualText: verifyText,
+            startOffset: location.startOffset,
+            endOffset: location.endOffset
+          });
+          
+          // If verification fails, attempt to restore original text
+          try {
+            const currentText = textElement.getText();
+            Logger.log("aiedit-debug: Current text state before restoration", {
+              fullTextLength: currentText.length,
+              modifiedSection: currentText.substring(
+                Math.max(0, location.startOffset - 10),
+                Math.min(currentText.length, location.startOffset + insertedText.length + 10)
+              )
+            });
+            
+            // Check if text was actually modified
+            // Paragraphs removed from a multi-paragraph range can't be rebuilt here
+            const modifiedText = currentText.substring(location.startOffset, location.startOffset + insertedText.length);
+            if (modifiedText === insertedText && !location.blocks) {
+              Logger.log("aiedit-debug: Restoring original text");
+              // Use deleteText + insertText instead of replaceText
+              textElement.deleteText(location.startOffset, location.startOffset + insertedText.length - 1);
+              textElement.insertText(location.startOffset, originalText);
+              
+              // Verify restoration
+              const restoredText = textElement.getText().substring(location.startOffset, location.startOffset + originalText.length);
+              if (restoredText !== originalText) {
+                throw new Error("Failed to restore original text");
+              }
+            } else {
+              Logger.log("aiedit-debug: Text was not modified as expected", {
+                expectedModification: insertedText,
+                actualText: modifiedText
+              });
+            }
+
+             } catch (restoreError) {
+                Logger.log("aiedit-debug: Error during text restoration attempt", {
+                    error: restoreError.message,
+                    stack: restoreError.stack
+                });
+             }
+          throw new Error("Failed to verify text replacement");
+        }
+        
+
+
+        // Update comment to mark as accepted
+        Logger.log("aiedit-debug: Attempting to mark comment as accepted", {
+          fileId: fileId,
+          commentId: commentId,
+          textLength: sanitizedText.length,
+          resolved: true,
+          originalCommentContent: comment ? comment.content : null
+        });
+        
+        // First update the comment content (resolution happens via the reply below)
+        const chosenVariant = choice && choice.variants && choice.variants.length > 1
+          ? `variant ${choice.index + 1} of ${choice.variants.length}`
+          : null;
+        const acceptUpdate = retryCommentUpdate(
+          fileId,
+          commentId,
+          COMMENT_STATE.ACCEPTED + '\n\nChanges applied successfully:\n\n' +
+          (chosenVariant ? 'Chosen ' + chosenVariant + '\n\n' : '') +
+          'Original text:\n' + originalText + '\n\n' +
+          'New text:\n' + sanitizedText,
+          { resolved: false }
+        );
+
+        if (acceptUpdate.success) {
+          const pending = getPendingSuggestion(comment);
+          recordEditJournalEntry({
+            source: 'comment',
+            commentId: commentId,
+            model: pending ? pending.model : null,
+            originalText: replacedText,
+            revisedText: sanitizedText,
+            position: position
+          });
+        }
+        
+        // Then create a resolving reply
+        if (acceptUpdate.success) {
+          try {
+            Logger.log("aiedit-debug: Creating resolving reply");
+            // First check if comment is already resolved
+            const currentComment = Drive.Comments.get(fileId, commentId, {
+              fields: 'id,resolved'
+            });
+            
+            if (currentComment.resolved) {
+              Logger.log("aiedit-debug: Comment already resolved", {
+                commentId: commentId
+              });
+              return; // Already resolved, no need to do it again
+            }
+            
+            const reply = Drive.Replies.create(
+              {
+                action: 'resolve',
+                content: 'Accepted AI suggestion' + (chosenVariant ? ` (${chosenVariant})` : '')
+              },
+              fileId,
+              commentId,
+              { fields: 'id,action,resolved' }
+            );
+            
+            // Verify the comment was actually resolved
+            const verifyComment = Drive.Comments.get(fileId, commentId, {
+              fields: 'id,resolved'
+            });
+            
+            Logger.log("aiedit-debug: Created resolving reply", {
+              replyId: reply.id,
+              action: reply.action,
+              commentResolved: verifyComment.resolved
+            });
+            
+            if (!verifyComment.resolved) {
+              throw new Error('Failed to resolve comment despite successful reply creation');
+            }
+          } catch (error) {
+            Logger.log("aiedit-debug: Failed to create resolving reply", {
+              error: error.toString()
+            });
+            // Don't throw here - the text was updated successfully
+            // Just log that we couldn't resolve the comment
+          }
+        }
+        
+        if (!acceptUpdate.success) {
+          Logger.log("aiedit-debug: Failed to mark comment as accepted", {
+            error: acceptUpdate.error,
+            details: acceptUpdate.details,
+            fileId: fileId,
+            commentId: commentId
+          });
+          
+          // If comment update fails, restore original text
+          const currentText = textElement.getText();
+            //check and see if it's equal first.
+            if (currentText.substring(location.startOffset, location.startOffset + insertedText.length) === insertedText &&
+                !location.blocks) {
+              textElement.deleteText(location.startOffset, location.startOffset + insertedText.length - 1);
+              textElement.insertText(location.startOffset, originalText);
+          }
+          throw new Error("Failed to mark comment as accepted: " + 
+            (acceptUpdate.error ? acceptUpdate.error.message : "Unknown error") +
+            "\nDetails: " + JSON.stringify(acceptUpdate.details));
+        }
+        
+        Logger.log("aiedit-debug: Successfully marked comment as accepted");
+        return true;
+      } catch (error) {
+        Logger.log("aiedit-debug: Error during text replacement", {
+          error: error.toString(),
+          stack: error.stack
+        });
+        
+        // If anything fails during text replacement, restore original text *only if* it was changed.
+        try {
+          const textElement = location.element.asText();
+          const currentText = textElement.getText();
+
+          // Check if text was actually modified using exact length comparison
+          const expectedText = insertedText || '';
+          const modifiedText = currentText.substring(location.startOffset, location.startOffset + expectedText.length);
+          
+          Logger.log("aiedit-debug: Checking for text restoration after error", {
+            modifiedTextLength: modifiedText.length,
+            expectedLength: expectedText.length,
+            matches: modifiedText === expectedText
+          });
+          
+          // Log the current state for debugging
+          Logger.log("aiedit-debug: Text state before restoration", {
+            currentText: currentText.substring(Math.max(0, location.startOffset - 10), 
+                                              Math.min(currentText.length, location.startOffset + expectedText.length + 10)),
+            modifiedTextActual: modifiedText,
+            insertedTextExpected: expectedText,
+            startOffset: location.startOffset,
+            originalTextLength: originalText.length
+          });
+
+          if (insertedText && modifiedText.length === expectedText.length && modifiedText === expectedText &&
+              !location.blocks) {
+            Logger.log("aiedit-debug: Restoring text after error");
+            // Text *was* modified, so restore the original in a single operation
+            textElement.replaceText(location.startOffset, 
+                                  location.startOffset + expectedText.length - 1,
+                                  originalText);
+            
+            // Verify restoration
+            const restoredText = textElement.getText().substring(location.startOffset,
+                                                               location.startOffset + originalText.length);
+            Logger.log("aiedit-debug: Text restoration verification", {
+              restoredText: restoredText,
+              originalText: originalText,
+              matches: restoredText === originalText
+            });
+            
+            if (restoredText !== originalText) {
+              throw new Error("Failed to restore original text after error");
+            }
+          } else {
+            Logger.log("aiedit-debug: No restoration needed - text was not modified");
+          }
+
+        } catch (restoreError) {
+          Logger.log("aiedit-debug: Error during text restoration", {
+            error: restoreError.toString(),
+            stack: restoreError.stack
+          });
+          error.message += "\nAdditionally, failed to restore original text: " + restoreError.message;
+        }
+        throw error;
+      }
+    } else {
+      // For rejections, record the rejected text in the thread and keep the
+      // original instruction, so a follow-up reply can refine it
+      Logger.log("aiedit-debug: Attempting to mark comment as rejected");
+      const rejectedText = choice && choice.variants ? formatVariantText(choice.variants) : suggestedText;
+      try {
+        Drive.Replies.create(
+          {
+            content: COMMENT_STATE.REJECTED + ' Changes rejected. Reply with "' + AI_COMMENT_PREFIX +
+              ' <feedback>" to refine the suggestion.\n\n' + REJECTED_REPLY_LABEL + '\n' + rejectedText
+          },
+          fileId,
+          commentId,
+          { fields: 'id' }
+        );
+      } catch (rejectError) {
+        Logger.log("aiedit-debug: Failed to mark comment as rejected", {
+          error: rejectError.toString()
+        });
+        throw new Error("Failed to mark comment as rejected");
+      }
+      
+      Logger.log("aiedit-debug: Successfully marked comment as rejected");
+      return true;
+    }
+    
+  } catch (e) {
+    Logger.log("aiedit-debug: Final error in applyAIEdit", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    throw new Error(
+      "Failed to apply changes: " + e.message + "\n\n" +
+      "Please try again. If the problem persists, " +
+      "verify the text hasn't been modified and the comment still exists."
+    );
+  } finally {
+    if (claim && claim.success) {
+      clearCommentProcessing(fileId, commentId, claim.replyId);
+    }
+  }
+}
+
+/**
+ * Get the current document's ID
+ * 
+ * @return {String} The document ID
+ */
+function getDocumentId() {
+  return DocumentApp.getActiveDocument().getId();
+}
+
+/**
+ * AI backends the add-on can use, keyed by the provider ID saved in
+ * userSettings.provider. Each one implements the same interface, where
+ * config comes from getProviderConfig:
+ *   listModels(config) - Models as {id, name}
+ *   getLimits(config, model) - {contextTokens, maxOutputTokens}
+ *   generate(config, model, prompt, options) - Response text; options may
+ *       set contextTokens, structured, temperature and seed
+ * The capabilities tell the sidebar whether it can call the provider from
+ * the browser and stream the response (the streaming formats live in
+ * sidebar.html) and whether an API key is 'required', 'optional' or 'none'.
+ */
+const AI_PROVIDERS = {
+  ollama: {
+    name: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModels: ['llama3:latest', 'mistral:latest', 'mixtral:latest', 'phi3:latest', 'qwen:latest'],
+    apiKeyProperty: null,
+    capabilities: { browser: true, streaming: true, structured: true, apiKey: 'none' },
+    
+    listModels(config) {
+      const data = fetchProviderJson(config, '/api/tags');
+      return (data.models || []).map(model => ({ id: model.name, name: model.name }));
+    },
+    
+    getLimits(config, model) {
+      const info = fetchProviderJson(config, '/api/show', { model: model });
+      let contextTokens = CHUNK_CONFIG.DEFAULT_CONTEXT_TOKENS;
+      
+      // An explicit num_ctx in the Modelfile wins over the architecture maximum
+      const numCtxMatch = (info.parameters || '').match(/num_ctx\s+(\d+)/);
+      const contextKey = Object.keys(info.model_info || {})
+        .find(key => key.endsWith('.context_length'));
+      
+      if (numCtxMatch) {
+        contextTokens = parseInt(numCtxMatch[1], 10);
+      } else if (contextKey) {
+        contextTokens = info.model_info[contextKey];
+      }
+      
+      return {
+        contextTokens: Math.min(contextTokens, CHUNK_CONFIG.MAX_OLLAMA_CONTEXT_TOKENS),
+        maxOutputTokens: null
+      };
+    },
+    
+    generate(config, model, prompt, options) {
+      const payload = {
+        model: model,
+        prompt: prompt,
+        stream: false,
+        options: getSamplingOptions(options)
+      };
+      if (options.contextTokens) {
+        payload.options.num_ctx = options.contextTokens;
+      }
+      if (options.structured) {
+        payload.format = 'json';
+      }
+      return fetchProviderJson(config, '/api/generate', payload).response;
+    }
+  },
+  
+  gemini: {
+    name: 'Gemini',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModels: ['gemini-2.0-flash'],
+    apiKeyProperty: 'geminiApiKey',
+    capabilities: { browser: false, streaming: false, structured: true, apiKey: 'required' },
+    
+    headers(config) {
+      return { 'x-goog-api-key': config.apiKey };
+    },
+    
+    listModels(config) {
+      const data = fetchProviderJson(config, '/models?pageSize=1000');
+      return (data.models || [])
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => ({
+          id: model.name.replace(/^models\//, ''),
+          name: model.displayName || model.name
+        }));
+    },
+    
+    getLimits(config, model) {
+      const info = fetchProviderJson(config, `/models/${model}`);
+      return {
+        contextTokens: info.inputTokenLimit || CHUNK_CONFIG.GEMINI_CONTEXT_TOKENS,
+        maxOutputTokens: Math.min(info.outputTokenLimit || CHUNK_CONFIG.GEMINI_MAX_OUTPUT_TOKENS,
+                                  CHUNK_CONFIG.GEMINI_MAX_OUTPUT_TOKENS)
+      };
+    },
+    
+    generate(config, model, prompt, options) {
+      const generationConfig = {
+        maxOutputTokens: CHUNK_CONFIG.GEMINI_MAX_OUTPUT_TOKENS,
+        temperature: 0.7,
+        ...getSamplingOptions(options)
+      };
+      if (options.structured) {
+        // Constrain the output to the suggestion schema
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = SUGGESTION_RESPONSE_SCHEMA;
+      }
+      
+      const data = fetchProviderJson(config, `/models/${model}:generateContent`, {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: generationConfig
+      });
+      
+      // Format: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
+      const candidate = data.candidates && data.candidates[0];
+      const parts = candidate && candidate.content && candidate.content.parts;
+      if (!parts || !parts.some(part => part.text)) {
+        Logger.log("aiedit-debug: Unexpected Gemini API response format", {
+          responsePreview: JSON.stringify(data).substring(0, 500) + "..."
+        });
+        throw new Error("Unexpected Gemini API response format");
+      }
+      
+      return parts.map(part => part.text || '').join('');
+    }
+  },
+  
+  openai: {
+    name: 'OpenAI-compatible',
+    defaultBaseUrl: 'http://localhost:8080/v1',
+    defaultModels: [],
+    apiKeyProperty: 'openaiApiKey',
+    capabilities: { browser: true, streaming: true, structured: true, apiKey: 'optional' },
+    
+    headers(config) {
+      return config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    },
+    
+    listModels(config) {
+      const data = fetchProviderJson(config, '/models');
+      return (data.data || []).map(model => ({ id: model.id, name: model.id }));
+    },
+    
+    getLimits(config, model) {
+      // vLLM reports max_model_len and some servers context_length; the rest
+      // don't say, so the default is used
+      const entry = (fetchProviderJson(config, '/models').data || [])
+        .find(item => item.id === model) || {};
+      return {
+        contextTokens: entry.max_model_len || entry.context_length || CHUNK_CONFIG.DEFAULT_CONTEXT_TOKENS,
+        maxOutputTokens: null
+      };
+    },
+    
+    generate(config, model, prompt, options) {
+      const payload = {
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        ...getSamplingOptions(options)
+      };
+      if (options.structured) {
+        payload.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'suggestions', schema: toJsonSchema(SUGGESTION_RESPONSE_SCHEMA) }
+        };
+      }
+      
+      const data = fetchProviderJson(config, '/chat/completions', payload);
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error("Unexpected OpenAI-compatible API response format");
+      }
+      return choice.message.content || '';
+    }
+  }
+};
+
+/**
+ * Get the provider chosen in the user's settings, with its base URL and API key
+ * 
+ * @param {String} [providerId] - Provider to use instead of the chosen one
+ * @return {Object} Config with id, provider, baseUrl and apiKey
+ */
+function getProviderConfig(providerId = null) {
+  const userProperties = PropertiesService.getUserProperties();
+  let settings = {};
+  try {
+    settings = JSON.parse(userProperties.getProperty('userSettings') || '{}');
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading provider settings", { error: e.toString() });
+  }
+  
+  const id = providerId || settings.provider || inferSavedProvider(settings, userProperties);
+  const provider = AI_PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${id}`);
+  }
+  
+  const baseUrl = (settings.providerUrls || {})[id] || provider.defaultBaseUrl;
+  return {
+    id: id,
+    provider: provider,
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    apiKey: provider.apiKeyProperty ? (userProperties.getProperty(provider.apiKeyProperty) || '') : ''
+  };
+}
+
+/**
+ * Work out the provider for settings saved before providers could be chosen,
+ * when Gemini was used for any model named "gemini..." and Ollama otherwise
+ * 
+ * @param {Object} settings - Parsed userSettings
+ * @param {Properties} userProperties - The user's properties
+ * @return {String} Key of AI_PROVIDERS
+ */
+function inferSavedProvider(settings, userProperties) {
+  const model = String(settings.selectedModel || '').toLowerCase();
+  if (model.startsWith('gemini') || (!model && userProperties.getProperty(AI_PROVIDERS.gemini.apiKeyProperty))) {
+    return 'gemini';
+  }
+  return DEFAULT_AI_PROVIDER;
+}
+
+/**
+ * Send a request to a provider's API and parse the JSON response
+ * 
+ * @param {Object} config - Provider config from getProviderConfig
+ * @param {String} path - Path under the provider's base URL
+ * @param {Object} [payload] - Body to POST; the request is a GET without one
+ * @return {Object} Parsed response
+ */
+function fetchProviderJson(config, path, payload = null) {
+  const provider = config.provider;
+  if (provider.capabilities.apiKey === 'required' && !config.apiKey) {
+    throw new Error(`No ${provider.name} API key found. Please add your API key in the settings.`);
+  }
+  
+  const requestOptions = {
+    method: payload ? 'post' : 'get',
+    headers: provider.headers ? provider.headers(config) : {},
+    muteHttpExceptions: true
+  };
+  if (payload) {
+    requestOptions.contentType = 'application/json';
+    requestOptions.payload = JSON.stringify(payload);
+  }
+  
+  const response = UrlFetchApp.fetch(config.baseUrl + path, requestOptions);
+  const responseCode = response.getResponseCode();
+  const responseText = response.getContentText();
+  
+  Logger.log(`aiedit-debug: Received ${provider.name} API response`, {
+    path: path,
+    responseCode: responseCode,
+    responseLength: responseText.length
+  });
+  
+  if (responseCode !== 200) {
+    throw new Error(`${provider.name} API request failed with status ${responseCode}: ${responseText}`);
+  }
+  
+  return JSON.parse(responseText);
+}
+
+/**
+ * Pick the sampling fields (temperature, seed) out of generation options
+ * 
+ * @param {Object} options - Generation options
+ * @return {Object} The sampling fields that were set
+ */
+function getSamplingOptions(options) {
+  const sampling = {};
+  ['temperature', 'seed'].forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) {
+      sampling[key] = options[key];
+    }
+  });
+  return sampling;
+}
+
+/**
+ * Convert a Gemini response schema (OpenAPI subset with upper-case types)
+ * to the JSON Schema accepted by OpenAI-compatible servers
+ * 
+ * @param {Object} schema - Gemini response schema
+ * @return {Object} Equivalent JSON Schema
+ */
+function toJsonSchema(schema) {
+  const converted = {};
+  Object.keys(schema).forEach(key => {
+    if (key === 'type') {
+      converted.type = schema.type.toLowerCase();
+    } else if (key === 'items') {
+      converted.items = toJsonSchema(schema.items);
+    } else if (key === 'properties') {
+      converted.properties = {};
+      Object.keys(schema.properties).forEach(name => {
+        converted.properties[name] = toJsonSchema(schema.properties[name]);
+      });
+    } else {
+      converted[key] = schema[key];
+    }
+  });
+  return converted;
+}
+
+/**
+ * List the AI providers and the one chosen in the user's settings
+ * 
+ * @return {Object} Response object with providers (id, name, defaultBaseUrl,
+ *     defaultModels and capabilities), provider (chosen ID) and baseUrl
+ */
+function getAIProviders() {
+  try {
+    const active = getProviderConfig();
+    return {
+      success: true,
+      providers: Object.keys(AI_PROVIDERS).map(id => ({
+        id: id,
+        name: AI_PROVIDERS[id].name,
+        defaultBaseUrl: AI_PROVIDERS[id].defaultBaseUrl,
+        defaultModels: AI_PROVIDERS[id].defaultModels,
+        capabilities: AI_PROVIDERS[id].capabilities
+      })),
+      provider: active.id,
+      baseUrl: active.baseUrl
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error listing AI providers", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Choose the AI provider and the base URL to reach it at
+ * 
+ * @param {String} providerId - Key of AI_PROVIDERS
+ * @param {String} [baseUrl] - Server URL; empty for the provider's default
+ * @return {Object} Response object with provider, baseUrl and providerUrls
+ */
+function saveProviderSettings(providerId, baseUrl) {
+  try {
+    const provider = AI_PROVIDERS[providerId];
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${providerId}`);
+    }
+    
+    const url = (baseUrl || '').trim().replace(/\/+$/, '');
+    if (url && !/^https?:\/\/\S+$/i.test(url)) {
+      throw new Error("The server URL must start with http:// or https://");
+    }
+    
+    const userProperties = PropertiesService.getUserProperties();
+    let settings = {};
+    try {
+      settings = JSON.parse(userProperties.getProperty('userSettings') || '{}');
+    } catch (parseError) {
+      // Invalid settings are replaced
+    }
+    
+    settings.provider = providerId;
+    settings.providerUrls = settings.providerUrls || {};
+    if (url && url !== provider.defaultBaseUrl) {
+      settings.providerUrls[providerId] = url;
+    } else {
+      delete settings.providerUrls[providerId];
+    }
+    userProperties.setProperty('userSettings', JSON.stringify(settings));
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Saved AI provider", { provider: providerId, baseUrl: url });
+    return {
+      success: true,
+      provider: providerId,
+      baseUrl: url || provider.defaultBaseUrl,
+      providerUrls: settings.providerUrls
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error saving AI provider", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * List the models offered by the chosen provider
+ * 
+ * @return {Object} Response object with models ({id, name})
+ */
+function listProviderModels() {
+  try {
+    const config = getProviderConfig();
+    return { success: true, models: config.provider.listModels(config) };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error listing provider models", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Generate a response with the chosen provider. Used by the sidebar for
+ * providers it can't call from the browser.
+ * 
+ * @param {String} prompt - Full prompt to send
+ * @param {String} modelName - The model to use
+ * @param {Object} [options] - Sampling options such as temperature and seed
+ * @return {Object} Response object with the model's response
+ */
+function generateWithProvider(prompt, modelName, options = {}) {
+  try {
+    return {
+      success: true,
+      response: generateAIResponse(prompt, modelName, null, getSamplingOptions(options || {}))
+    };
+  } catch (e) {
+    Logger.log("aiedit-debug: Error generating with AI provider", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Apply a suggested change to the document
+ * 
+ * The suggestion's location is an element path and offsets recorded by
+ * buildDocumentMarkdown. If earlier edits moved the text, the original is
+ * searched for within the same element and the closest occurrence is used.
+ * Revisions containing markdown are rendered with replaceWithMarkdown; the
+ * result then also reports the elements added and where moved text began.
+ * 
+ * @param {Object} suggestion - Suggestion with original, revised and location
+ * @param {String} [modelName] - Model that proposed it, for the edit journal
+ * @return {Object} Result with success status, the new location and length delta
+ */
+function applySuggestedChange(suggestion, modelName = null) {
+  try {
+    if (!suggestion || !suggestion.location || !suggestion.location.path ||
+        typeof suggestion.revised !== 'string') {
+      throw new Error("Invalid suggestion data");
+    }
+    
+    const location = suggestion.location;
+    const expectedText = location.text || suggestion.original;
+    
+    Logger.log("aiedit-debug: Applying suggested change", {
+      originalTextLength: expectedText.length,
+      revisedTextLength: suggestion.revised.length,
+      path: location.path.join('.'),
+      startOffset: location.startOffset,
+      endOffset: location.endOffset
+    });
+    
+    const body = DocumentApp.getActiveDocument().getBody();
+    const element = resolveElementPath(body, location.path);
+    const textElement = element.editAsText();
+    const elementText = textElement.getText();
+    
+    // Verify the original text is still where we expect it
+    let startOffset = location.startOffset;
+    if (elementText.substring(startOffset, startOffset + expectedText.length) !== expectedText) {
+      let bestIndex = -1;
+      let searchIndex = elementText.indexOf(expectedText);
+      while (searchIndex !== -1) {
+        if (bestIndex === -1 || Math.abs(searchIndex - startOffset) < Math.abs(bestIndex - startOffset)) {
+          bestIndex = searchIndex;
+        }
+        searchIndex = elementText.indexOf(expectedText, searchIndex + 1);
+      }
+      
+      if (bestIndex === -1) {
+        throw new Error("The original text has changed since the suggestion was generated");
+      }
+      
+      Logger.log("aiedit-debug: Suggestion location shifted", {
+        expectedOffset: startOffset,
+        actualOffset: bestIndex
+      });
+      startOffset = bestIndex;
+    }
+    const endOffset = startOffset + expectedText.length - 1;
+    const journalEntry = {
+      source: 'document',
+      model: modelName,
+      originalText: expectedText,
+      revisedText: suggestion.revised,
+      position: { path: location.path, offset: startOffset }
+    };
+    
+    // Formatted or multi-paragraph revisions are rendered as Docs formatting
+    if (suggestion.revised.trim() && hasMarkdownFormatting(suggestion.revised)) {
+      const rendered = replaceWithMarkdown(element, startOffset, endOffset, suggestion.revised);
+      
+      if (rendered.text && textElement.getText().substring(startOffset, startOffset + rendered.text.length) !== rendered.text) {
+        throw new Error("Failed to verify text replacement");
+      }
+      
+      Logger.log("aiedit-debug: Successfully applied rendered suggestion", {
+        addedElements: rendered.added
+      });
+      recordEditJournalEntry(journalEntry);
+      return {
+        success: true,
+        location: {
+          path: location.path,
+          startOffset: startOffset,
+          endOffset: startOffset + rendered.text.length - 1,
+          text: rendered.text
+        },
+        delta: rendered.text.length - expectedText.length,
+        added: rendered.added,
+        tailOffset: rendered.tailOffset
+      };
+    }
+    
+    // Replace only the words that changed so the rest keeps its formatting
+    applyTextDiff(textElement, startOffset, expectedText, suggestion.revised);
+    
+    // Verify the replacement
+    const verifyText = textElement.getText().substring(
+      startOffset, 
+      startOffset + suggestion.revised.length
+    );
+    
+    if (verifyText !== suggestion.revised) {
+      // Try to restore original text if verification fails
+      if (suggestion.revised.length > 0) {
+        textElement.deleteText(startOffset, startOffset + suggestion.revised.length - 1);
+      }
+      textElement.insertText(startOffset, expectedText);
+      
+      throw new Error("Failed to verify text replacement");
+    }
+    
+    Logger.log("aiedit-debug: Successfully applied suggestion");
+    recordEditJournalEntry(journalEntry);
+    return {
+      success: true,
+      location: {
+        path: location.path,
+        startOffset: startOffset,
+        endOffset: startOffset + suggestion.revised.length - 1,
+        text: suggestion.revised
+      },
+      delta: suggestion.revised.length - expectedText.length
+    };
+    
+  } catch (e) {
+    Logger.log("aiedit-debug: Error applying suggested change", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+}
+
+/**
+ * Compare two suggestion locations in document order
+ *
+ * @param {Object} a - Location with path and startOffset
+ * @param {Object} b - Location with path and startOffset
+ * @return {number} Negative if a comes first, positive if b does
+ */
+function compareSuggestionLocations(a, b) {
+  const length = Math.min(a.path.length, b.path.length);
+  for (let i = 0; i < length; i++) {
+    if (a.path[i] !== b.path[i]) {
+      return a.path[i] - b.path[i];
+    }
+  }
+  if (a.path.length !== b.path.length) {
+    return a.path.length - b.path.length;
+  }
+  return a.startOffset - b.startOffset;
+}
+
+/**
+ * Apply several suggested changes in one call
+ *
+ * Changes are applied from the end of the document back to the start, so
+ * each one is still at the location recorded when it was generated. Every
+ * change is verified on its own; a failure does not stop the others.
+ *
+ * @param {Array<Object>} suggestions - Suggestions with original, revised and location
+ * @param {String} [modelName] - Model that proposed them, for the edit journal
+ * @return {Object} Result with success status and per-suggestion results in the
+ *     order they were applied, each with the index of its suggestion
+ */
+function applySuggestedChanges(suggestions, modelName = null) {
+  if (!Array.isArray(suggestions)) {
+    return { success: false, error: "Invalid suggestion data" };
+  }
+
+  const order = suggestions
+    .map((suggestion, index) => index)
+    .filter(index => suggestions[index] && suggestions[index].location && suggestions[index].location.path)
+    .sort((a, b) => compareSuggestionLocations(suggestions[b].location, suggestions[a].location));
+
+  const results = order.map(index => Object.assign({ index }, applySuggestedChange(suggestions[index], modelName)));
+  suggestions.forEach((suggestion, index) => {
+    if (order.indexOf(index) === -1) {
+      results.push({ index, success: false, error: "Invalid suggestion data" });
+    }
+  });
+
+  Logger.log("aiedit-debug: Applied suggestions in bulk", {
+    requested: suggestions.length,
+    applied: results.filter(result => result.success).length
+  });
+
+  return { success: true, results };
+}
+
+/**
+ * Read a value stored with writeChunkedProperty
+ * 
+ * @param {Properties} properties - Property store
+ * @param {String} key - Property key
+ * @return {String|null} The stored value, or null if there is none
+ */
+function readChunkedProperty(properties, key) {
+  const count = parseInt(properties.getProperty(key), 10);
+  if (isNaN(count)) {
+    return null;
+  }
+  let value = '';
+  for (let i = 0; i < count; i++) {
+    value += properties.getProperty(`${key}.${i}`) || '';
+  }
+  return value;
+}
+
+/**
+ * Store a value that may exceed the per-property size limit, split across
+ * numbered keys ("key.0", "key.1", ...) with the chunk count under key
+ * 
+ * @param {Properties} properties - Property store
+ * @param {String} key - Property key
+ * @param {String} value - Value to store
+ */
+function writeChunkedProperty(properties, key, value) {
+  const previousCount = parseInt(properties.getProperty(key), 10) || 0;
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < value.length; i += PROPERTY_CHUNK_CHARS) {
+    chunks[`${key}.${count++}`] = value.substring(i, i + PROPERTY_CHUNK_CHARS);
+  }
+  chunks[key] = String(count);
+  properties.setProperties(chunks);
+  
+  for (let i = count; i < previousCount; i++) {
+    properties.deleteProperty(`${key}.${i}`);
+  }
+}
+
+/**
+ * Get the email of the user running the script, if Apps Script exposes it
+ * 
+ * @return {String} Email address, or an empty string
+ */
+function getCurrentUserEmail() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Read the edit journal of the active document
+ * 
+ * @return {Array<Object>} Entries, oldest first
+ */
+function readEditJournal() {
+  const stored = readChunkedProperty(PropertiesService.getDocumentProperties(), EDIT_JOURNAL_PROPERTY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Save the edit journal, dropping the oldest entries beyond the limits
+ * 
+ * @param {Array<Object>} entries - Entries, oldest first
+ */
+function writeEditJournal(entries) {
+  let kept = entries.slice(-EDIT_JOURNAL_CONFIG.MAX_ENTRIES);
+  let serialized = JSON.stringify(kept);
+  while (kept.length > 0 && serialized.length > EDIT_JOURNAL_CONFIG.MAX_CHARS) {
+    kept = kept.slice(1);
+    serialized = JSON.stringify(kept);
+  }
+  writeChunkedProperty(PropertiesService.getDocumentProperties(), EDIT_JOURNAL_PROPERTY, serialized);
+}
+
+/**
+ * The plain text an accepted replacement leaves in the document: one line
+ * per paragraph, with rendered markdown reduced to its text
+ * 
+ * @param {String} text - Sanitized replacement text
+ * @return {String} Text as it appears in the document
+ */
+function getAppliedText(text) {
+  const plain = text.split('\n').every(line => !line.trim() || !hasMarkdownFormatting(line));
+  const lines = plain ? text.split('\n') : parseMarkdownBlocks(text).map(block => block.text || '');
+  return lines.map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Get where a match from findTextMatches starts, as a body path and an
+ * offset within that paragraph
+ * 
+ * @param {Object} match - Location from findTextMatches
+ * @return {Object} Object with path and offset
+ */
+function getMatchPosition(match) {
+  if (match.blocks) {
+    return { path: getElementPath(match.blocks[0]).path, offset: match.startOffset };
+  }
+  const position = getElementPath(match.element);
+  return { path: position.path, offset: position.offset + match.startOffset };
+}
+
+/**
+ * Get the text on either side of a match, used to check that an edit's
+ * surroundings are unchanged before it is reverted
+ * 
+ * @param {Object} match - Location from findTextMatches
+ * @return {Object} Object with before and after
+ */
+function getMatchContext(match) {
+  const size = EDIT_JOURNAL_CONFIG.CONTEXT_CHARS;
+  const firstText = match.element.getText();
+  const lastText = match.blocks ? match.blocks[match.blocks.length - 1].getText() : firstText;
+  const lastEnd = match.blocks ? match.lastEndOffset : match.endOffset;
+  return {
+    before: firstText.substring(Math.max(0, match.startOffset - size), match.startOffset),
+    after: lastText.substring(lastEnd + 1, lastEnd + 1 + size)
+  };
+}
+
+/**
+ * Record an accepted edit in the document's edit journal. Failures are
+ * logged rather than thrown so they never undo an accepted edit.
+ * 
+ * @param {Object} edit - The edit: source ('comment' or 'document'),
+ *     commentId, model, originalText, revisedText and position (path and
+ *     offset where the edit starts, from before it was applied)
+ */
+function recordEditJournalEntry(edit) {
+  const lock = LockService.getDocumentLock();
+  try {
+    const appliedText = getAppliedText(edit.revisedText);
+    
+    // Locate the new text now, so reverting can find it the same way later
+    let context = null;
+    if (appliedText) {
+      const body = DocumentApp.getActiveDocument().getBody();
+      const match = findTextMatches(body, appliedText).find(candidate => {
+        const position = getMatchPosition(candidate);
+        return position.path.join('.') === edit.position.path.join('.') && position.offset === edit.position.offset;
+      });
+      context = match ? getMatchContext(match) : null;
+    }
+    
+    lock.waitLock(10000);
+    const entries = readEditJournal();
+    entries.push({
+      id: Utilities.getUuid(),
+      timestamp: new Date().toISOString(),
+      user: getCurrentUserEmail(),
+      model: edit.model || null,
+      source: edit.source,
+      commentId: edit.commentId || null,
+      originalText: edit.originalText,
+      revisedText: edit.revisedText,
+      appliedText: appliedText,
+      location: edit.position,
+      context: context,
+      reverted: false,
+      revertedAt: null,
+      revertedBy: null
+    });
+    writeEditJournal(entries);
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Recorded accepted edit", {
+      source: edit.source,
+      revertible: !!context
+    });
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error recording accepted edit", { error: e.toString() });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Get the accepted edits recorded for the active document, newest first
+ * 
+ * @return {Object} Result with success status and entries
+ */
+function getEditJournal() {
+  try {
+    const entries = readEditJournal().reverse().map(entry => ({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      user: entry.user,
+      model: entry.model,
+      source: entry.source,
+      originalText: entry.originalText,
+      revisedText: entry.appliedText || entry.revisedText,
+      reverted: entry.reverted,
+      revertedAt: entry.revertedAt,
+      revertedBy: entry.revertedBy,
+      revertible: !entry.reverted && !!entry.context
+    }));
+    return { success: true, entries: entries };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading edit journal", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Revert an accepted edit from the journal, restoring the original text if
+ * the edited text and the text around it are unchanged
+ * 
+ * @param {String} entryId - ID of the journal entry
+ * @return {Object} Result with success status
+ */
+function revertEditJournalEntry(entryId) {
+  const lock = LockService.getDocumentLock();
+  try {
+    lock.waitLock(10000);
+    const entries = readEditJournal();
+    const entry = entries.find(candidate => candidate.id === entryId);
+    
+    if (!entry) {
+      throw new Error("The edit is no longer in the history");
+    }
+    if (entry.reverted) {
+      throw new Error("This edit has already been reverted");
+    }
+    if (!entry.context) {
+      throw new Error("This edit can't be reverted automatically; restore the original text by hand");
+    }
+    
+    const body = DocumentApp.getActiveDocument().getBody();
+    const matches = findTextMatches(body, entry.appliedText).filter(match => {
+      const context = getMatchContext(match);
+      return context.before === entry.context.before && context.after === entry.context.after;
+    });
+    
+    // The same text in the same surroundings may occur twice; prefer the recorded spot
+    let match = matches.length === 1 ? matches[0] : null;
+    if (matches.length > 1) {
+      match = matches.find(candidate => getMatchPosition(candidate).path.join('.') === entry.location.path.join('.'));
+    }
+    if (!match) {
+      throw new Error(matches.length > 1
+        ? "The edited text appears more than once with the same surroundings"
+        : "The edited text or the text around it has changed since the edit was accepted");
+    }
+    
+    if (match.blocks) {
+      replaceMultiElementRange(match, entry.originalText);
+    } else if (entry.originalText.includes('\n')) {
+      const paragraph = castElement(match.element.getParent());
+      const base = getTextOffsetInParagraph(match.element);
+      replaceWithMarkdown(paragraph, base + match.startOffset, base + match.endOffset,
+                          splitQuotedLines(entry.originalText).join('\n\n'));
+    } else {
+      applyTextDiff(match.element, match.startOffset,
+                    match.element.getText().substring(match.startOffset, match.endOffset + 1),
+                    entry.originalText);
+    }
+    
+    entry.reverted = true;
+    entry.revertedAt = new Date().toISOString();
+    entry.revertedBy = getCurrentUserEmail();
+    writeEditJournal(entries);
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Reverted accepted edit", { entryId: entryId });
+    return { success: true };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reverting edit", { entryId: entryId, error: e.toString() });
+    return { success: false, error: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Read the user's saved prompts
+ * 
+ * @return {Array<Object>} Prompts with name, prompt and updated, in the order saved
+ */
+function readPromptLibrary() {
+  const stored = readChunkedProperty(PropertiesService.getUserProperties(), PROMPT_LIBRARY_PROPERTY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Save the user's prompts
+ * 
+ * @param {Array<Object>} prompts - Prompts with name, prompt and updated
+ */
+function writePromptLibrary(prompts) {
+  if (prompts.length > PROMPT_LIBRARY_CONFIG.MAX_PROMPTS) {
+    throw new Error(`You can save at most ${PROMPT_LIBRARY_CONFIG.MAX_PROMPTS} prompts`);
+  }
+  const serialized = JSON.stringify(prompts);
+  if (serialized.length > PROMPT_LIBRARY_CONFIG.MAX_CHARS) {
+    throw new Error("The prompt library is full; delete some prompts first");
+  }
+  writeChunkedProperty(PropertiesService.getUserProperties(), PROMPT_LIBRARY_PROPERTY, serialized);
+}
+
+/**
+ * Check and tidy a prompt's name and text
+ * 
+ * @param {String} name - Prompt name
+ * @param {String} prompt - Prompt text
+ * @return {Object} Prompt with trimmed name and prompt, stamped with updated
+ */
+function normalizePrompt(name, prompt) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  const text = typeof prompt === 'string' ? prompt.trim() : '';
+  
+  if (!trimmedName) {
+    throw new Error("The prompt needs a name");
+  }
+  if (trimmedName.length > PROMPT_LIBRARY_CONFIG.MAX_NAME_CHARS) {
+    throw new Error(`Prompt names can be at most ${PROMPT_LIBRARY_CONFIG.MAX_NAME_CHARS} characters`);
+  }
+  if (!text) {
+    throw new Error(`The prompt "${trimmedName}" is empty`);
+  }
+  if (text.length > PROMPT_LIBRARY_CONFIG.MAX_PROMPT_CHARS) {
+    throw new Error(`The prompt "${trimmedName}" is longer than ${PROMPT_LIBRARY_CONFIG.MAX_PROMPT_CHARS} characters`);
+  }
+  return { name: trimmedName, prompt: text, updated: new Date().toISOString() };
+}
+
+/**
+ * Find a saved prompt by name, ignoring case as /prompt commands do
+ * 
+ * @param {Array<Object>} prompts - Saved prompts
+ * @param {String} name - Prompt name
+ * @return {number} Index of the prompt, or -1
+ */
+function findPromptIndex(prompts, name) {
+  const wanted = (name || '').trim().toLowerCase();
+  return prompts.findIndex(prompt => prompt.name.toLowerCase() === wanted);
+}
+
+/**
+ * Read, change and save the prompt library while holding the user lock, so
+ * two open sidebars can't overwrite each other's changes
+ * 
+ * @param {Function} update - Changes the prompts array in place
+ * @return {Array<Object>} The saved prompts
+ */
+function updatePromptLibrary(update) {
+  const lock = LockService.getUserLock();
+  lock.waitLock(10000);
+  try {
+    const prompts = readPromptLibrary();
+    update(prompts);
+    writePromptLibrary(prompts);
+    return prompts;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Get the user's saved prompts
+ * 
+ * @return {Object} Result with success status and prompts
+ */
+function getPromptLibrary() {
+  try {
+    return { success: true, prompts: readPromptLibrary() };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading prompt library", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Save a prompt to the user's library. A new prompt replaces a saved one
+ * with the same name; pass originalName to edit or rename an existing prompt.
+ * 
+ * @param {String} name - Prompt name
+ * @param {String} prompt - Prompt text
+ * @param {String} [originalName] - Current name of the prompt being edited
+ * @return {Object} Result with success status and the saved prompts
+ */
+function savePrompt(name, prompt, originalName = null) {
+  try {
+    const entry = normalizePrompt(name, prompt);
+    const prompts = updatePromptLibrary(prompts => {
+      const index = findPromptIndex(prompts, originalName || entry.name);
+      const clash = findPromptIndex(prompts, entry.name);
+      if (originalName && index === -1) {
+        throw new Error(`There is no saved prompt named "${originalName}"`);
+      }
+      if (clash !== -1 && clash !== index) {
+        throw new Error(`A prompt named "${prompts[clash].name}" already exists`);
+      }
+      
+      if (index === -1) {
+        prompts.push(entry);
+      } else {
+        prompts[index] = entry;
+      }
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Saved prompt", { name: entry.name, renamedFrom: originalName });
+    return { success: true, prompts: prompts };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error saving prompt", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Rename a saved prompt, keeping its text
+ * 
+ * @param {String} oldName - Current name
+ * @param {String} newName - New name
+ * @return {Object} Result with success status and the saved prompts
+ */
+function renamePrompt(oldName, newName) {
+  try {
+    const prompts = readPromptLibrary();
+    const index = findPromptIndex(prompts, oldName);
+    if (index === -1) {
+      throw new Error(`There is no saved prompt named "${oldName}"`);
+    }
+    return savePrompt(newName, prompts[index].prompt, oldName);
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error renaming prompt", { name: oldName, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Delete a saved prompt
+ * 
+ * @param {String} name - Prompt name
+ * @return {Object} Result with success status and the saved prompts
+ */
+function deletePrompt(name) {
+  try {
+    const prompts = updatePromptLibrary(prompts => {
+      const index = findPromptIndex(prompts, name);
+      if (index === -1) {
+        throw new Error(`There is no saved prompt named "${name}"`);
+      }
+      prompts.splice(index, 1);
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Deleted prompt", { name: name });
+    return { success: true, prompts: prompts };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error deleting prompt", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Export the user's saved prompts as JSON that importPromptLibrary accepts
+ * 
+ * @return {Object} Result with success status and json
+ */
+function exportPromptLibrary() {
+  try {
+    return { success: true, json: formatPromptCollection(readPromptLibrary()) };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error exporting prompt library", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Import prompts from JSON written by exportPromptLibrary, or a plain array
+ * of {name, prompt} objects. Imported prompts replace saved ones with the
+ * same name; nothing is saved if any of them is invalid.
+ * 
+ * @param {String} json - Prompts to import
+ * @param {Boolean} [replace] - Delete all saved prompts first
+ * @return {Object} Result with success status, imported count and the saved prompts
+ */
+function importPromptLibrary(json, replace = false) {
+  try {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (parseError) {
+      throw new Error("The file is not valid JSON: " + parseError.message);
+    }
+    
+    const imported = Array.isArray(data) ? data : data && data.prompts;
+    if (!Array.isArray(imported) || imported.length === 0) {
+      throw new Error("No prompts found; expected a list of prompts with name and prompt");
+    }
+    const entries = imported.map((item, index) => {
+      try {
+        return normalizePrompt(item && item.name, item && item.prompt);
+      } catch (e) {
+        throw new Error(`Prompt ${index + 1}: ${e.message}`);
+      }
+    });
+    
+    const prompts = updatePromptLibrary(prompts => {
+      if (replace) {
+        prompts.length = 0;
+      }
+      entries.forEach(entry => {
+        const index = findPromptIndex(prompts, entry.name);
+        if (index === -1) {
+          prompts.push(entry);
+        } else {
+          prompts[index] = entry;
+        }
+      });
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Imported prompts", { imported: entries.length, replace: replace });
+    return { success: true, imported: entries.length, prompts: prompts };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error importing prompts", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Serialize prompts in the format exportPromptLibrary writes
+ * 
+ * @param {Array<Object>} prompts - Prompts with name and prompt
+ * @return {String} JSON
+ */
+function formatPromptCollection(prompts) {
+  return JSON.stringify({
+    type: 'ai-editor-prompts',
+    version: 1,
+    prompts: prompts.map(entry => ({ name: entry.name, prompt: entry.prompt }))
+  }, null, 2);
+}
+
+/**
+ * Checks whether a file in a shared prompt library holds JSON rather than
+ * the text of a single prompt
+ * 
+ * @param {Object} file - File from the Drive API
+ * @return {Boolean} True for JSON files
+ */
+function isJsonPromptFile(file) {
+  return file.mimeType === 'application/json' || /\.json$/i.test(file.name);
+}
+
+/**
+ * Read the Drive file or folder holding shared prompts, without the prompts
+ * themselves. A file holds a JSON collection; in a folder each file is a
+ * JSON collection or a text file whose name is the prompt name. The version
+ * changes whenever any of them does.
+ * 
+ * @param {String} sourceId - Drive file or folder ID
+ * @return {Object} Library with source, isFolder, files, canEdit and version
+ */
+function readSharedPromptSource(sourceId) {
+  const source = Drive.Files.get(sourceId, { fields: SHARED_PROMPTS_FILE_FIELDS, supportsAllDrives: true });
+  if (source.trashed) {
+    throw new Error(`"${source.name}" is in the trash`);
+  }
+  
+  const isFolder = source.mimeType === 'application/vnd.google-apps.folder';
+  if (!isFolder) {
+    return {
+      source: source,
+      isFolder: false,
+      files: [source],
+      canEdit: !!(source.capabilities && source.capabilities.canEdit),
+      version: source.modifiedTime
+    };
+  }
+  
+  const files = [];
+  let pageToken = null;
+  do {
+    const page = Drive.Files.list({
+      q: `'${sourceId}' in parents and trashed = false`,
+      fields: `nextPageToken,files(${SHARED_PROMPTS_FILE_FIELDS})`,
+      pageSize: 100,
+      pageToken: pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true
+    });
+    (page.files || [])
+      .filter(file => isJsonPromptFile(file) || /^text\//.test(file.mimeType))
+      .forEach(file => files.push(file));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  files.sort((a, b) => a.name.localeCompare(b.name));
+  
+  // Renaming, editing, adding or removing any file changes the version
+  const fingerprint = files.map(file => `${file.id}/${file.name}/${file.modifiedTime}`).join('\n');
+  return {
+    source: source,
+    isFolder: true,
+    files: files,
+    canEdit: !!(source.capabilities && source.capabilities.canAddChildren),
+    version: Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, fingerprint))
+  };
+}
+
+/**
+ * Read the prompts in a shared library. Invalid prompts and repeated names
+ * are skipped rather than failing the whole library.
+ * 
+ * @param {Object} library - Library from readSharedPromptSource
+ * @return {Object} Object with prompts (name, prompt, fileId and canEdit) and skipped
+ */
+function loadSharedPrompts(library) {
+  const prompts = [];
+  let skipped = 0;
+  
+  library.files.forEach(file => {
+    const content = DriveApp.getFileById(file.id).getBlob().getDataAsString('UTF-8');
+    let items;
+    if (isJsonPromptFile(file) || !library.isFolder) {
+      try {
+        const data = JSON.parse(content);
+        items = Array.isArray(data) ? data : data && Array.isArray(data.prompts) ? data.prompts : [data];
+      } catch (e) {
+        if (!library.isFolder) {
+          throw new Error(`"${file.name}" is not valid JSON: ${e.message}`);
+        }
+        skipped++;
+        return;
+      }
+    } else {
+      items = [{ name: file.name.replace(/\.[^.]+$/, ''), prompt: content }];
+    }
+    
+    items.forEach(item => {
+      try {
+        const entry = normalizePrompt(item && item.name, item && item.prompt);
+        if (findPromptIndex(prompts, entry.name) !== -1) {
+          throw new Error(`The prompt "${entry.name}" appears more than once`);
+        }
+        prompts.push({
+          name: entry.name,
+          prompt: entry.prompt,
+          fileId: file.id,
+          canEdit: !!(file.capabilities && file.capabilities.canEdit)
+        });
+      } catch (e) {
+        skipped++;
+        logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Skipped shared prompt", { fileId: file.id, error: e.message });
+      }
+    });
+  });
+  
+  return { prompts: prompts, skipped: skipped };
+}
+
+/**
+ * Get the team's shared prompts. When the caller already has the current
+ * version, only the version is checked and the prompts aren't read again.
+ * 
+ * @param {String} [knownVersion] - Version from an earlier call
+ * @return {Object} Result with success, configured, sourceId, name, url,
+ *     isFolder, canEdit and version, plus prompts and skipped unless unchanged is set
+ */
+function getSharedPromptLibrary(knownVersion = null) {
+  const sourceId = PropertiesService.getUserProperties().getProperty(SHARED_PROMPTS_PROPERTY);
+  if (!sourceId) {
+    return { success: true, configured: false, prompts: [] };
+  }
+  
+  try {
+    const library = readSharedPromptSource(sourceId);
+    const result = {
+      success: true,
+      configured: true,
+      sourceId: sourceId,
+      name: library.source.name,
+      url: library.source.webViewLink || '',
+      isFolder: library.isFolder,
+      canEdit: library.canEdit,
+      version: library.version
+    };
+    if (knownVersion && knownVersion === library.version) {
+      result.unchanged = true;
+      return result;
+    }
+    return Object.assign(result, loadSharedPrompts(library));
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading shared prompts", { sourceId: sourceId, error: e.toString() });
+    return { success: false, configured: true, sourceId: sourceId, error: e.message };
+  }
+}
+
+/**
+ * Use a Drive file or folder as the shared prompt library, or stop using one
+ * 
+ * @param {String} reference - Link or ID of the file or folder; empty to disconnect
+ * @return {Object} Result from getSharedPromptLibrary
+ */
+function setSharedPromptSource(reference) {
+  try {
+    const properties = PropertiesService.getUserProperties();
+    const trimmed = (reference || '').trim();
+    if (!trimmed) {
+      properties.deleteProperty(SHARED_PROMPTS_PROPERTY);
+      return getSharedPromptLibrary();
+    }
+    
+    const sourceId = extractDriveId(trimmed);
+    if (!sourceId) {
+      throw new Error("Enter the link or ID of a Drive file or folder");
+    }
+    
+    // Fail now rather than on every refresh if it can't be read
+    loadSharedPrompts(readSharedPromptSource(sourceId));
+    properties.setProperty(SHARED_PROMPTS_PROPERTY, sourceId);
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Connected shared prompt library", { sourceId: sourceId });
+    return getSharedPromptLibrary();
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error connecting shared prompt library", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Start a shared prompt library: create an empty collection file next to the
+ * document and use it. Share the file with the team to give them access.
+ * 
+ * @return {Object} Result from getSharedPromptLibrary
+ */
+function createSharedPromptFile() {
+  try {
+    const file = getDocumentFolder().createFile(SHARED_PROMPTS_FILE_NAME, formatPromptCollection([]), 'application/json');
+    PropertiesService.getUserProperties().setProperty(SHARED_PROMPTS_PROPERTY, file.getId());
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Created shared prompt library", { fileId: file.getId() });
+    return getSharedPromptLibrary();
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error creating shared prompt library", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Change the shared prompts while holding the script lock. The change is
+ * refused if a teammate changed the library since the caller last read it.
+ * 
+ * @param {String} knownVersion - Version the caller's prompts came from
+ * @param {Function} change - Called with the prompts and library; writes to Drive
+ * @return {Object} Result from getSharedPromptLibrary
+ */
+function editSharedPrompts(knownVersion, change) {
+  const sourceId = PropertiesService.getUserProperties().getProperty(SHARED_PROMPTS_PROPERTY);
+  if (!sourceId) {
+    throw new Error("No shared prompt library is connected");
+  }
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const library = readSharedPromptSource(sourceId);
+    if (knownVersion && knownVersion !== library.version) {
+      throw new Error("A teammate changed the shared prompts; refresh and try again");
+    }
+    change(loadSharedPrompts(library).prompts, library);
+  } finally {
+    lock.releaseLock();
+  }
+  return getSharedPromptLibrary();
+}
+
+/**
+ * Write the prompts that live in one file of a shared library folder, moving
+ * the file to the trash when none are left
+ * 
+ * @param {Object} library - Library from readSharedPromptSource
+ * @param {String} fileId - File to write
+ * @param {Array<Object>} prompts - Prompts that belong in the file
+ */
+function writeSharedPromptFile(library, fileId, prompts) {
+  const info = library.files.find(file => file.id === fileId);
+  if (!info || !info.capabilities || !info.capabilities.canEdit) {
+    throw new Error(`You can only view "${info ? info.name : fileId}"`);
+  }
+  
+  const file = DriveApp.getFileById(fileId);
+  if (prompts.length === 0) {
+    file.setTrashed(true);
+  } else if (isJsonPromptFile(info)) {
+    file.setContent(formatPromptCollection(prompts));
+  } else {
+    file.setContent(prompts[0].prompt);
+    const extension = (info.name.match(/\.[^.]+$/) || [''])[0];
+    if (info.name !== prompts[0].name + extension) {
+      file.setName(prompts[0].name + extension);
+    }
+  }
+}
+
+/**
+ * Save a prompt to the shared library, replacing the one with the same name.
+ * Pass originalName to edit or rename an existing prompt. In a folder, new
+ * prompts become text files named after the prompt.
+ * 
+ * @param {String} name - Prompt name
+ * @param {String} prompt - Prompt text
+ * @param {String} [originalName] - Current name of the prompt being edited
+ * @param {String} [knownVersion] - Version the caller's prompts came from
+ * @return {Object} Result from getSharedPromptLibrary
+ */
+function saveSharedPrompt(name, prompt, originalName = null, knownVersion = null) {
+  try {
+    const entry = normalizePrompt(name, prompt);
+    return editSharedPrompts(knownVersion, (prompts, library) => {
+      const index = findPromptIndex(prompts, originalName || entry.name);
+      const clash = findPromptIndex(prompts, entry.name);
+      if (originalName && index === -1) {
+        throw new Error(`There is no shared prompt named "${originalName}"`);
+      }
+      if (clash !== -1 && clash !== index) {
+        throw new Error(`A shared prompt named "${prompts[clash].name}" already exists`);
+      }
+      
+      if (!library.isFolder) {
+        if (!library.canEdit) {
+          throw new Error(`You can only view "${library.source.name}"`);
+        }
+        if (index === -1) {
+          prompts.push(entry);
+        } else {
+          prompts[index] = entry;
+        }
+        DriveApp.getFileById(library.source.id).setContent(formatPromptCollection(prompts));
+      } else if (index === -1) {
+        if (!library.canEdit) {
+          throw new Error(`You can't add files to "${library.source.name}"`);
+        }
+        DriveApp.getFolderById(library.source.id).createFile(entry.name + '.txt', entry.prompt, 'text/plain');
+      } else {
+        const fileId = prompts[index].fileId;
+        prompts[index] = Object.assign(entry, { fileId: fileId });
+        writeSharedPromptFile(library, fileId, prompts.filter(candidate => candidate.fileId === fileId));
+      }
+      
+      logDebug(LOG_CONFIG.CATEGORIES.STATE, "Saved shared prompt", { name: entry.name, renamedFrom: originalName });
+    });
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error saving shared prompt", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Delete a prompt from the shared library
+ * 
+ * @param {String} name - Prompt name
+ * @param {String} [knownVersion] - Version the caller's prompts came from
+ * @return {Object} Result from getSharedPromptLibrary
+ */
+function deleteSharedPrompt(name, knownVersion = null) {
+  try {
+    return editSharedPrompts(knownVersion, (prompts, library) => {
+      const index = findPromptIndex(prompts, name);
+      if (index === -1) {
+        throw new Error(`There is no shared prompt named "${name}"`);
+      }
+      
+      const fileId = prompts[index].fileId;
+      prompts.splice(index, 1);
+      if (!library.isFolder) {
+        if (!library.canEdit) {
+          throw new Error(`You can only view "${library.source.name}"`);
+        }
+        DriveApp.getFileById(library.source.id).setContent(formatPromptCollection(prompts));
+      } else {
+        writeSharedPromptFile(library, fileId, prompts.filter(candidate => candidate.fileId === fileId));
+      }
+      
+      logDebug(LOG_CONFIG.CATEGORIES.STATE, "Deleted shared prompt", { name: name });
+    });
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error deleting shared prompt", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Read the user's prompt pipelines
+ * 
+ * @return {Array<Object>} Pipelines with name, steps (prompt names) and updated
+ */
+function readPromptPipelines() {
+  const stored = readChunkedProperty(PropertiesService.getUserProperties(), PROMPT_PIPELINES_PROPERTY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Check and tidy a pipeline's name and steps. Steps name prompts from the
+ * built-in, team or saved prompts; they are looked up when the pipeline runs,
+ * so later edits to those prompts are picked up.
+ * 
+ * @param {String} name - Pipeline name
+ * @param {Array<String>} steps - Prompt names, in the order they run
+ * @return {Object} Pipeline with trimmed name and steps, stamped with updated
+ */
+function normalizePipeline(name, steps) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    throw new Error("The pipeline needs a name");
+  }
+  if (trimmedName.length > PROMPT_LIBRARY_CONFIG.MAX_NAME_CHARS) {
+    throw new Error(`Pipeline names can be at most ${PROMPT_LIBRARY_CONFIG.MAX_NAME_CHARS} characters`);
+  }
+  
+  const names = (Array.isArray(steps) ? steps : [])
+    .map(step => typeof step === 'string' ? step.trim() : '')
+    .filter(Boolean);
+  if (names.length === 0) {
+    throw new Error(`The pipeline "${trimmedName}" has no steps`);
+  }
+  if (names.length > PIPELINE_CONFIG.MAX_STEPS) {
+    throw new Error(`A pipeline can have at most ${PIPELINE_CONFIG.MAX_STEPS} steps`);
+  }
+  return { name: trimmedName, steps: names, updated: new Date().toISOString() };
+}
+
+/**
+ * Read, change and save the user's pipelines while holding the user lock
+ * 
+ * @param {Function} update - Changes the pipelines array in place
+ * @return {Array<Object>} The saved pipelines
+ */
+function updatePromptPipelines(update) {
+  const lock = LockService.getUserLock();
+  lock.waitLock(10000);
+  try {
+    const pipelines = readPromptPipelines();
+    update(pipelines);
+    if (pipelines.length > PIPELINE_CONFIG.MAX_PIPELINES) {
+      throw new Error(`You can save at most ${PIPELINE_CONFIG.MAX_PIPELINES} pipelines`);
+    }
+    writeChunkedProperty(PropertiesService.getUserProperties(), PROMPT_PIPELINES_PROPERTY, JSON.stringify(pipelines));
+    return pipelines;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Get the user's prompt pipelines
+ * 
+ * @return {Object} Result with success status and pipelines
+ */
+function getPromptPipelines() {
+  try {
+    return { success: true, pipelines: readPromptPipelines() };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading prompt pipelines", { error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Save a prompt pipeline. Pass originalName to edit or rename an existing one.
+ * 
+ * @param {String} name - Pipeline name
+ * @param {Array<String>} steps - Prompt names, in the order they run
+ * @param {String} [originalName] - Current name of the pipeline being edited
+ * @return {Object} Result with success status and the saved pipelines
+ */
+function savePromptPipeline(name, steps, originalName = null) {
+  try {
+    const entry = normalizePipeline(name, steps);
+    const pipelines = updatePromptPipelines(pipelines => {
+      const index = findPromptIndex(pipelines, originalName || entry.name);
+      const clash = findPromptIndex(pipelines, entry.name);
+      if (originalName && index === -1) {
+        throw new Error(`There is no pipeline named "${originalName}"`);
+      }
+      if (clash !== -1 && clash !== index) {
+        throw new Error(`A pipeline named "${pipelines[clash].name}" already exists`);
+      }
+      
+      if (index === -1) {
+        pipelines.push(entry);
+      } else {
+        pipelines[index] = entry;
+      }
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Saved prompt pipeline", { name: entry.name, steps: entry.steps.length });
+    return { success: true, pipelines: pipelines };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error saving prompt pipeline", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Delete a prompt pipeline
+ * 
+ * @param {String} name - Pipeline name
+ * @return {Object} Result with success status and the saved pipelines
+ */
+function deletePromptPipeline(name) {
+  try {
+    const pipelines = updatePromptPipelines(pipelines => {
+      const index = findPromptIndex(pipelines, name);
+      if (index === -1) {
+        throw new Error(`There is no pipeline named "${name}"`);
+      }
+      pipelines.splice(index, 1);
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Deleted prompt pipeline", { name: name });
+    return { success: true, pipelines: pipelines };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error deleting prompt pipeline", { name: name, error: e.toString() });
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Save the API key for a provider to user properties
+ * 
+ * @param {String} providerId - Key of AI_PROVIDERS
+ * @param {String} apiKey - API key; empty to remove it
+ * @return {Boolean} Success status
+ */
+function saveProviderApiKey(providerId, apiKey) {
+  try {
+    const provider = AI_PROVIDERS[providerId];
+    if (!provider || !provider.apiKeyProperty) {
+      Logger.log("aiedit-debug: Provider does not use an API key", { provider: providerId });
+      return false;
+    }
+    
+    Logger.log("aiedit-debug: Saving API key", { provider: providerId });
+    
+    const userProperties = PropertiesService.getUserProperties();
+    if (apiKey) {
+      userProperties.setProperty(provider.apiKeyProperty, apiKey);
+    } else {
+      userProperties.deleteProperty(provider.apiKeyProperty);
+    }
+    
+    return true;
+  } catch (e) {
+    Logger.log("aiedit-debug: Error saving API key", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return false;
+  }
+}
+
+/**
+ * Get the API key for a provider from user properties
+ * 
+ * @param {String} providerId - Key of AI_PROVIDERS
+ * @return {String} API key or empty string if not found
+ */
+function getProviderApiKey(providerId) {
+  try {
+    const provider = AI_PROVIDERS[providerId];
+    const apiKey = provider && provider.apiKeyProperty
+      ? PropertiesService.getUserProperties().getProperty(provider.apiKeyProperty)
+      : null;
+    
+    Logger.log("aiedit-debug: Retrieving API key", {
+      provider: providerId,
+      exists: !!apiKey
+    });
+    
+    return apiKey || '';
+  } catch (e) {
+    Logger.log("aiedit-debug: Error retrieving API key", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return '';
+  }
+}
+
+/**
+ * Parses AI-generated text to extract suggested changes using the specified format
+ * <suggestion>Original text<changeto/>Revised text</suggestion>
+ * 
+ * @param {string} aiResponse - The text response from the AI model
+ * @return {Array} An array of objects with original and revised text
+ */
+function parseSuggestedChanges(aiResponse) {
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Parsing suggested changes from AI response", 
+           { responseLength: aiResponse ? aiResponse.length : 0 });
+  
+  if (!aiResponse) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "No AI response to parse");
+    return [];
+  }
+  
+  const suggestionRegex = /<suggestion>([\s\S]*?)<changeto\/>([\s\S]*?)<\/suggestion>/g;
+  const suggestions = [];
+  let match;
+  
+  try {
+    while ((match = suggestionRegex.exec(aiResponse)) !== null) {
+      if (match.length === 3) {
+        suggestions.push({
+          original: match[1].trim(),
+          revised: match[2].trim()
         });
-        
-        Logger.log("aiedit-debug: Text replacement verification", {
-          expectedLength: sanitizedText.length,
-          actualLength: verifyText.length,
-          matches: verifyText === sanitizedText,
-          verifyText: verifyText,
-          sanitizedText: sanitizedText
+      }
+    }
+    
+    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Found ${suggestions.length} suggestions in AI response`);
+    return suggestions;
+  } catch (error) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error parsing suggested changes", { error: error.toString() });
+    return [];
+  }
+}
+
+/**
+ * Attempts to turn almost-JSON from a model into parseable JSON. Handles code
+ * fences, leading/trailing prose, trailing commas, raw newlines inside strings
+ * and output that was cut off before the closing brackets. Truncated output is
+ * cut back to the last complete value so a half-written suggestion is dropped.
+ * 
+ * @param {string} text - Raw model output
+ * @return {string} Repaired JSON text (may still be invalid)
+ */
+function repairJson(text) {
+  let json = text.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```\s*$/, '');
+  
+  // Drop any prose before the first bracket
+  const firstBracket = json.search(/[[{]/);
+  if (firstBracket > 0) {
+    json = json.substring(firstBracket);
+  }
+  
+  // Walk the text, escaping control characters in strings and tracking open brackets
+  let stack = [];
+  let lastComplete = null;
+  let repaired = '';
+  let inString = false;
+  let escaped = false;
+  const closingBracket = /\s*[}\]]/y;
+  
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n') {
+        repaired += '\\n';
+        continue;
+      } else if (char === '\r' || char === '\t') {
+        repaired += char === '\r' ? '\\r' : '\\t';
+        continue;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      // Drop trailing commas before a closing bracket
+      closingBracket.lastIndex = i + 1;
+      if (closingBracket.test(json)) {
+        continue;
+      }
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        repaired += char;
+        break; // Ignore anything after the top-level value
+      }
+      lastComplete = { length: repaired.length + 1, stack: stack.slice() };
+    }
+    repaired += char;
+  }
+  
+  // Close whatever was left open by truncated output
+  if (stack.length > 0 && lastComplete) {
+    repaired = repaired.substring(0, lastComplete.length);
+    stack = lastComplete.stack;
+  } else if (inString) {
+    repaired += '"';
+  }
+  repaired = repaired.replace(/,\s*$/, '');
+  while (stack.length > 0) {
+    repaired += stack.pop();
+  }
+  
+  return repaired;
+}
+
+/**
+ * Validates one structured suggestion against the response schema
+ * 
+ * @param {Object} item - Parsed suggestion object
+ * @return {Object|null} Normalized suggestion, or null if required fields are missing
+ */
+function validateStructuredSuggestion(item) {
+  if (!item || typeof item !== 'object' ||
+      typeof item.original !== 'string' || !item.original.trim() ||
+      typeof item.revised !== 'string') {
+    return null;
+  }
+  
+  const category = typeof item.category === 'string' ? item.category.trim().toLowerCase() : '';
+  const rationale = typeof item.rationale === 'string' ? item.rationale.trim().split('\n')[0] : '';
+  
+  return {
+    original: item.original.trim(),
+    revised: item.revised.trim(),
+    category: SUGGESTION_CATEGORIES.includes(category) ? category : 'uncategorized',
+    rationale: rationale
+  };
+}
+
+/**
+ * Parses AI-generated JSON suggestions of the form
+ * {"suggestions": [{"original", "revised", "category", "rationale"}]}
+ * 
+ * Malformed JSON is repaired where possible. If no JSON can be recovered the
+ * response is parsed as the <suggestion> tag format instead.
+ * 
+ * @param {string} aiResponse - The text response from the AI model
+ * @return {Array} An array of objects with original, revised, category and rationale
+ */
+function parseStructuredSuggestions(aiResponse) {
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Parsing structured suggestions from AI response", 
+           { responseLength: aiResponse ? aiResponse.length : 0 });
+  
+  if (!aiResponse) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "No AI response to parse");
+    return [];
+  }
+  
+  let parsed = null;
+  try {
+    parsed = JSON.parse(aiResponse);
+  } catch (error) {
+    try {
+      parsed = JSON.parse(repairJson(aiResponse));
+      logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Repaired malformed JSON response");
+    } catch (repairError) {
+      logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Could not parse JSON response, falling back to suggestion tags", 
+               { error: repairError.toString() });
+      return parseSuggestedChanges(aiResponse);
+    }
+  }
+  
+  // Accept {"suggestions": [...]}, a bare array, or a single suggestion object
+  let items = [];
+  if (Array.isArray(parsed)) {
+    items = parsed;
+  } else if (parsed && Array.isArray(parsed.suggestions)) {
+    items = parsed.suggestions;
+  } else if (parsed && parsed.original) {
+    items = [parsed];
+  }
+  
+  const suggestions = items.map(validateStructuredSuggestion).filter(Boolean);
+  
+  if (suggestions.length < items.length) {
+    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Dropped ${items.length - suggestions.length} suggestions that failed schema validation`);
+  }
+  
+  // The model may have ignored the JSON format altogether
+  if (suggestions.length === 0 && aiResponse.includes('<suggestion>')) {
+    return parseSuggestedChanges(aiResponse);
+  }
+  
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Found ${suggestions.length} structured suggestions in AI response`);
+  return suggestions;
+}
+
+/**
+ * Locates each suggestion's position in the document text and, when the
+ * markdown position index is supplied, maps it back to a document element
+ * 
+ * @param {string} documentText - The full document text
+ * @param {Array} suggestions - Array of suggestion objects with original and revised text
+ * @param {Array} [segments] - Segments from buildDocumentMarkdown
+ * @return {Object} Object with located and unlocated suggestion arrays
+ */
+function findSuggestionLocations(documentText, suggestions, segments = null) {
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Finding suggestion locations in document", 
+           { docLength: documentText ? documentText.length : 0, suggestionCount: suggestions ? suggestions.length : 0 });
+  
+  if (!documentText || !suggestions || suggestions.length === 0) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Missing document text or suggestions for location finding");
+    return { located: [], unlocated: suggestions || [] };
+  }
+  
+  const locatedSuggestions = [];
+  const unlocatedSuggestions = [];
+  const usedIndices = new Set();
+  
+  // Attach the document location for a markdown range, or mark it unlocated
+  const addLocated = (suggestion, located) => {
+    if (segments) {
+      const location = mapMarkdownRangeToDocument(segments, located.index, located.index + located.length);
+      if (!location) {
+        unlocatedSuggestions.push(suggestion);
+        return;
+      }
+      location.text = getMappedText(documentText, segments, located.index, located.index + located.length);
+      located.location = location;
+    }
+    usedIndices.add(located.index);
+    locatedSuggestions.push(located);
+  };
+  
+  suggestions.forEach((suggestion, index) => {
+    try {
+      if (!suggestion.original) {
+        unlocatedSuggestions.push(suggestion);
+        return;
+      }
+      
+      // Repeated passages get the next occurrence that hasn't been claimed yet
+      let exactIndex = documentText.indexOf(suggestion.original);
+      while (exactIndex !== -1 && usedIndices.has(exactIndex)) {
+        exactIndex = documentText.indexOf(suggestion.original, exactIndex + 1);
+      }
+      
+      if (exactIndex !== -1) {
+        // Found exact match
+        addLocated(suggestion, {
+          ...suggestion,
+          index: exactIndex,
+          length: suggestion.original.length
         });
+        return;
+      }
+      
+      // No exact match found, try finding similar matches
+      let bestMatch = null;
+      let bestScore = 0;
+      
+      // Split document into chunks of similar size to the original text
+      const chunkSize = Math.max(100, suggestion.original.length * 2);
+      for (let i = 0; i < documentText.length - suggestion.original.length; i += chunkSize / 2) {
+        const chunk = documentText.substr(i, chunkSize);
+        const similarity = calculateSimilarity(chunk, suggestion.original);
         
-        // Compare exact lengths first, then content
-        if (verifyText.length !== sanitizedText.length || verifyText !== sanitizedText) {
-          Logger.log("aiedit-debug: Text replacement verification failed", {
-            expectedLength: sanitizedText.length,
-            actualLength: verifyText.length,
-            expectedText: sanitizedText,
-            actualText: verifyText,
-            startOffset: location.startOffset,
-            endOffset: location.endOffset
-          });
+        if (similarity > bestScore && similarity > 0.7) { // Only consider matches with high similarity
+          bestScore = similarity;
+          bestMatch = {
+            index: i,
+            length: chunk.length
+          };
+        }
+      }
+      
+      if (bestMatch) {
+        addLocated(suggestion, {
+          ...suggestion,
+          index: bestMatch.index,
+          length: suggestion.original.length,
+          fuzzyMatch: true,
+          similarity: bestScore
+        });
+      } else {
+        unlocatedSuggestions.push(suggestion);
+      }
+    } catch (error) {
+      logDebug(LOG_CONFIG.CATEGORIES.ERROR, `Error locating suggestion ${index}`, { error: error.toString() });
+      unlocatedSuggestions.push(suggestion);
+    }
+  });
+  
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Located ${locatedSuggestions.length} suggestions, failed to locate ${unlocatedSuggestions.length}`);
+  
+  return {
+    located: locatedSuggestions,
+    unlocated: unlocatedSuggestions
+  };
+}
+
+/**
+ * Creates a markdown builder that records where each piece of document text
+ * ends up in the generated markdown. Every mapped segment covers characters
+ * that appear verbatim in both the markdown and the source text element, so a
+ * markdown range can be translated back to an element path and text offsets.
+ *
+ * The builder also tracks which multi-line block (list, code block) is open,
+ * so the separators CommonMark needs between blocks are written once.
+ *
+ * @return {Object} Builder with markdown, segments, headings, append, appendMapped and startBlock
+ */
+function createMarkdownBuilder() {
+  const builder = {
+    markdown: '',
+    segments: [],
+    headings: [],
+    footnotes: [],
+    openBlock: null,
+    listId: null,
+    listCounters: {},
+
+    /**
+     * Append markdown syntax that has no counterpart in the document
+     * @param {string} text - Markdown to append
+     */
+    append(text) {
+      builder.markdown += text;
+    },
+
+    /**
+     * Append document text and record its source location
+     * @param {string} text - Text copied verbatim from the document
+     * @param {Array<number>} path - Child indices from the body to the element
+     * @param {number} offset - Offset of the text within the element
+     */
+    appendMapped(text, path, offset) {
+      if (!text) {
+        return;
+      }
+      builder.segments.push({
+        mdStart: builder.markdown.length,
+        mdEnd: builder.markdown.length + text.length,
+        path: path,
+        offset: offset
+      });
+      builder.markdown += text;
+    },
+
+    /**
+     * Close the open block if the next element doesn't continue it
+     * @param {string|null} kind - 'list', 'code' or 'paragraph'; null closes everything
+     * @param {string} [listId] - List ID, so adjacent lists stay separate
+     */
+    startBlock(kind, listId = null) {
+      const continues = kind === builder.openBlock && (kind !== 'list' || listId === builder.listId);
+      if (!continues) {
+        if (builder.openBlock === 'code') {
+          builder.append('```\n\n');
+        } else if (builder.openBlock === 'list') {
+          builder.append('\n');
+        }
+        if (kind === 'code') {
+          builder.append('```\n');
+        }
+      }
+      builder.openBlock = kind === 'paragraph' ? null : kind;
+      builder.listId = listId;
+    }
+  };
+
+  return builder;
+}
+
+/**
+ * Converts the active document to markdown format and builds the position
+ * index used to map suggestions back to document elements
+ *
+ * @return {Object} Object with markdown string, segments and headings arrays
+ */
+function buildDocumentMarkdown() {
+  const doc = DocumentApp.getActiveDocument();
+  const body = doc.getBody();
+  const numElements = body.getNumChildren();
+  const builder = createMarkdownBuilder();
+
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Converting document to markdown", { numElements });
+
+  // Process each element in the document
+  for (let i = 0; i < numElements; i++) {
+    const element = body.getChild(i);
+    const type = element.getType();
+
+    switch (type) {
+      case DocumentApp.ElementType.PARAGRAPH:
+        processParagraphToMarkdown(element.asParagraph(), builder, [i]);
+        break;
+      case DocumentApp.ElementType.TABLE:
+        processTableToMarkdown(element.asTable(), builder, [i]);
+        break;
+      case DocumentApp.ElementType.LIST_ITEM:
+        processListItemToMarkdown(element.asListItem(), builder, [i]);
+        break;
+      case DocumentApp.ElementType.HORIZONTAL_RULE:
+        builder.startBlock('paragraph');
+        builder.append('---\n\n');
+        break;
+      // Add other element types as needed
+    }
+  }
+  builder.startBlock(null);
+  
+  // Footnote definitions follow the body, as in GFM
+  builder.footnotes.forEach((footnote, index) => {
+    builder.append(`[^${index + 1}]: ${footnote.replace(/\s+/g, ' ').trim()}\n`);
+  });
+
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Completed document to markdown conversion",
+           { markdownLength: builder.markdown.length, segments: builder.segments.length });
+
+  return {
+    markdown: builder.markdown,
+    segments: builder.segments,
+    headings: builder.headings
+  };
+}
+
+/**
+ * Converts the active document to markdown format
+ * 
+ * @return {string} Document content in markdown format
+ */
+function getDocumentAsMarkdown() {
+  try {
+    return buildDocumentMarkdown().markdown;
+  } catch (error) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error converting document to markdown", 
+             { error: error.toString() });
+    return '';
+  }
+}
+
+/**
+ * Converts a paragraph element to markdown. Paragraphs set entirely in a
+ * monospace font become code block lines and indented paragraphs become
+ * blockquotes, matching how the markdown renderer writes them.
+ * 
+ * @param {Paragraph} paragraph - The paragraph element
+ * @param {Object} builder - Markdown builder from createMarkdownBuilder
+ * @param {Array<number>} path - Child indices from the body to the paragraph
+ */
+function processParagraphToMarkdown(paragraph, builder, path) {
+  const text = paragraph.getText();
+  const headingType = paragraph.getHeading();
+  
+  // Skip empty paragraphs, keeping horizontal rules and images
+  if (!text || text.trim().length === 0) {
+    builder.startBlock('paragraph');
+    const types = [];
+    for (let i = 0; i < paragraph.getNumChildren(); i++) {
+      types.push(paragraph.getChild(i).getType());
+    }
+    if (types.includes(DocumentApp.ElementType.HORIZONTAL_RULE)) {
+      builder.append('---\n\n');
+    } else if (types.includes(DocumentApp.ElementType.INLINE_IMAGE)) {
+      processTextWithFormatting(paragraph, builder, path);
+      builder.append('\n\n');
+    } else {
+      builder.append('\n');
+    }
+    return;
+  }
+  
+  // Handle headings
+  const headingPrefixes = {
+    [DocumentApp.ParagraphHeading.HEADING1]: '# ',
+    [DocumentApp.ParagraphHeading.HEADING2]: '## ',
+    [DocumentApp.ParagraphHeading.HEADING3]: '### ',
+    [DocumentApp.ParagraphHeading.HEADING4]: '#### ',
+    [DocumentApp.ParagraphHeading.HEADING5]: '##### ',
+    [DocumentApp.ParagraphHeading.HEADING6]: '###### '
+  };
+  
+  if (headingPrefixes[headingType]) {
+    builder.startBlock('paragraph');
+    builder.headings.push({
+      level: headingPrefixes[headingType].length - 1,
+      text: text.trim(),
+      mdStart: builder.markdown.length,
+      path: path
+    });
+    builder.append(headingPrefixes[headingType]);
+    processTextWithFormatting(paragraph, builder, path, { trim: true });
+    builder.append('\n\n');
+    return;
+  }
+  
+  if (isCodeParagraph(paragraph)) {
+    builder.startBlock('code');
+    builder.appendMapped(text, path, 0);
+    builder.append('\n');
+    return;
+  }
+  
+  builder.startBlock('paragraph');
+  if (paragraph.getIndentStart() >= MARKDOWN_STYLE.QUOTE_INDENT) {
+    builder.append('> ');
+  }
+  
+  // Process inline text formatting
+  processTextWithFormatting(paragraph, builder, path);
+  builder.append('\n\n');
+}
+
+/**
+ * Checks whether a paragraph is a line of code: plain text set entirely in
+ * a monospace font
+ * 
+ * @param {Paragraph} paragraph - The paragraph element
+ * @return {boolean} True if every run of text is monospace
+ */
+function isCodeParagraph(paragraph) {
+  let hasText = false;
+  for (let i = 0; i < paragraph.getNumChildren(); i++) {
+    const child = paragraph.getChild(i);
+    if (child.getType() !== DocumentApp.ElementType.TEXT) {
+      return false;
+    }
+    const runs = getTextRuns(child.asText());
+    if (runs.some(run => !run.style.code || run.style.link)) {
+      return false;
+    }
+    hasText = hasText || runs.length > 0;
+  }
+  return hasText;
+}
+
+/**
+ * Converts a list item to markdown. Numbered items are counted per list and
+ * nesting level, so numbering continues across interruptions the way Docs
+ * shows it.
+ * 
+ * @param {ListItem} listItem - The list item element
+ * @param {Object} builder - Markdown builder from createMarkdownBuilder
+ * @param {Array<number>} path - Child indices from the body to the list item
+ */
+function processListItemToMarkdown(listItem, builder, path) {
+  const glyphType = listItem.getGlyphType();
+  const indentLevel = listItem.getNestingLevel();
+  const listId = listItem.getListId();
+  
+  // Four spaces keep nested items inside both "* " and "10. " parents
+  const indent = '    '.repeat(indentLevel);
+  
+  const counters = builder.listCounters[listId] || (builder.listCounters[listId] = []);
+  counters.length = indentLevel + 1;
+  counters[indentLevel] = (counters[indentLevel] || 0) + 1;
+  
+  builder.startBlock('list', listId);
+  
+  // Handle different list types
+  const orderedGlyphs = [
+    DocumentApp.GlyphType.NUMBER,
+    DocumentApp.GlyphType.LATIN_UPPER,
+    DocumentApp.GlyphType.LATIN_LOWER,
+    DocumentApp.GlyphType.ROMAN_UPPER,
+    DocumentApp.GlyphType.ROMAN_LOWER
+  ];
+  if (orderedGlyphs.includes(glyphType)) {
+    builder.append(`${indent}${counters[indentLevel]}. `);
+  } else {
+    builder.append(`${indent}* `);
+  }
+  processTextWithFormatting(listItem, builder, path, { trim: true });
+  builder.append('\n');
+}
+
+/**
+ * Converts a table to markdown
+ * 
+ * @param {Table} table - The table element
+ * @param {Object} builder - Markdown builder from createMarkdownBuilder
+ * @param {Array<number>} path - Child indices from the body to the table
+ */
+function processTableToMarkdown(table, builder, path) {
+  const numRows = table.getNumRows();
+  
+  builder.startBlock('paragraph');
+  for (let i = 0; i < numRows; i++) {
+    const row = table.getRow(i);
+    const numCells = row.getNumCells();
+    
+    builder.append('| ');
+    for (let j = 0; j < numCells; j++) {
+      if (j > 0) {
+        builder.append(' | ');
+      }
+      
+      // Cells hold paragraphs; keep them on one line so the table stays valid
+      const cell = row.getCell(j);
+      let wroteText = false;
+      for (let k = 0; k < cell.getNumChildren(); k++) {
+        const child = cell.getChild(k);
+        if (child.getType() !== DocumentApp.ElementType.PARAGRAPH &&
+            child.getType() !== DocumentApp.ElementType.LIST_ITEM) {
+          continue;
+        }
+        const paragraph = castElement(child);
+        if (!paragraph.getText().trim()) {
+          continue;
+        }
+        if (wroteText) {
+          builder.append(' ');
+        }
+        processTextWithFormatting(paragraph, builder, path.concat([i, j, k]), { trim: true, escapePipes: true });
+        wroteText = true;
+      }
+    }
+    builder.append(' |\n');
+    
+    // Add header separator row after first row
+    if (i === 0) {
+      builder.append(`| ${Array(numCells).fill('---').join(' | ')} |\n`);
+    }
+  }
+  
+  builder.append('\n');
+}
+
+/**
+ * Splits a text element into runs of uniform markdown-relevant formatting
+ * 
+ * @param {Text} textElement - The text element
+ * @return {Array} Runs with start, end (exclusive) and style
+ */
+function getTextRuns(textElement) {
+  const text = textElement.getText();
+  const indices = textElement.getTextAttributeIndices();
+  const runs = [];
+  
+  indices.forEach((start, i) => {
+    const end = i + 1 < indices.length ? indices[i + 1] : text.length;
+    if (end <= start) {
+      return;
+    }
+    
+    const font = textElement.getFontFamily(start);
+    const style = {
+      bold: !!textElement.isBold(start),
+      italic: !!textElement.isItalic(start),
+      strikethrough: !!textElement.isStrikethrough(start),
+      code: !!font && MARKDOWN_STYLE.MONOSPACE_FONTS.includes(font),
+      link: textElement.getLinkUrl(start) || null
+    };
+    
+    // Runs can differ in attributes markdown can't express; merge those
+    const last = runs[runs.length - 1];
+    if (last && JSON.stringify(last.style) === JSON.stringify(style)) {
+      last.end = end;
+    } else {
+      runs.push({ start: start, end: end, style: style });
+    }
+  });
+  
+  return runs;
+}
+
+/**
+ * Appends one run of text with its emphasis markers. Leading and trailing
+ * whitespace stays outside the markers, where CommonMark requires it.
+ * 
+ * @param {Object} builder - Markdown builder from createMarkdownBuilder
+ * @param {string} text - The run's text
+ * @param {Object} style - Style from getTextRuns
+ * @param {Array<number>} path - Path of the paragraph
+ * @param {number} offset - Offset of the run within the paragraph
+ * @param {Object} options - Options from processTextWithFormatting
+ */
+function appendFormattedRun(builder, text, style, path, offset, options) {
+  // Pipes inside table cells are escaped with an unmapped backslash
+  const appendText = (value, valueOffset) => {
+    if (!options.escapePipes) {
+      builder.appendMapped(value, path, valueOffset);
+      return;
+    }
+    value.split('|').forEach((part, i) => {
+      if (i > 0) {
+        builder.append('\\');
+        builder.appendMapped('|', path, valueOffset - 1);
+      }
+      builder.appendMapped(part, path, valueOffset);
+      valueOffset += part.length + 1;
+    });
+  };
+  
+  const core = text.trim();
+  if (!core || (!style.bold && !style.italic && !style.strikethrough && !style.code)) {
+    appendText(text, offset);
+    return;
+  }
+  
+  const leading = text.length - text.trimStart().length;
+  appendText(text.substring(0, leading), offset);
+  
+  if (style.code) {
+    const fence = core.includes('`') ? '`` ' : '`';
+    builder.append(fence);
+    appendText(core, offset + leading);
+    builder.append(fence.split('').reverse().join(''));
+  } else {
+    const open = (style.strikethrough ? '~~' : '') + (style.bold ? '**' : '') + (style.italic ? '*' : '');
+    builder.append(open);
+    appendText(core, offset + leading);
+    builder.append(open.split('').reverse().join(''));
+  }
+  
+  appendText(text.substring(leading + core.length), offset + leading + core.length);
+}
+
+/**
+ * Processes text with inline formatting: bold, italic, strikethrough and
+ * monospace runs, links, inline images (as alt text) and footnote references
+ * 
+ * @param {Paragraph|ListItem} paragraph - The paragraph containing text
+ * @param {Object} builder - Markdown builder from createMarkdownBuilder
+ * @param {Array<number>} path - Child indices from the body to the paragraph
+ * @param {Object} [options] - Set trim to drop surrounding whitespace and
+ *     escapePipes for table cells
+ */
+function processTextWithFormatting(paragraph, builder, path, options = {}) {
+  const fullText = paragraph.getText();
+  let first = 0;
+  let last = fullText.length;
+  if (options.trim) {
+    first = Math.max(0, fullText.search(/\S/));
+    last = fullText.trimEnd().length;
+  }
+  
+  let offset = 0;
+  let openLink = null;
+  const closeLink = () => {
+    if (openLink) {
+      builder.append(`](${openLink})`);
+      openLink = null;
+    }
+  };
+  
+  for (let i = 0; i < paragraph.getNumChildren(); i++) {
+    const child = paragraph.getChild(i);
+    
+    switch (child.getType()) {
+      case DocumentApp.ElementType.TEXT: {
+        const textElement = child.asText();
+        getTextRuns(textElement).forEach(run => {
+          const start = Math.max(offset + run.start, first);
+          const end = Math.min(offset + run.end, last);
+          if (end <= start) {
+            return;
+          }
           
-          // If verification fails, attempt to restore original text
-          try {
-            const currentText = textElement.getText();
-            Logger.log("aiedit-debug: Current text state before restoration", {
-              fullTextLength: currentText.length,
-              modifiedSection: currentText.substring(
-                Math.max(0, location.startOffset - 10),
-                Math.min(currentText.length, location.startOffset + sanitizedText.length + 10)
-              )
-            });
-            
-            // Check if text was actually modified
-            const modifiedText = currentText.substring(location.startOffset, location.startOffset + sanitizedText.length);
-            if (modifiedText === sanitizedText) {
-              Logger.log("aiedit-debug: Restoring original text");
-              // Use deleteText + insertText instead of replaceText
-              textElement.deleteText(location.startOffset, location.startOffset + sanitizedText.length - 1);
-              textElement.insertText(location.startOffset, originalText);
-              
-              // Verify restoration
-              const restoredText = textElement.getText().substring(location.startOffset, location.startOffset + originalText.length);
-              if (restoredText !== originalText) {
-                throw new Error("Failed to restore original text");
-              }
-            } else {
-              Logger.log("aiedit-debug: Text was not modified as expected", {
-                expectedModification: sanitizedText,
-                actualText: modifiedText
-              });
+          // Consecutive runs with the same link share one link
+          if (run.style.link !== openLink) {
+            closeLink();
+            if (run.style.link) {
+              builder.append('[');
+              openLink = run.style.link;
             }
+          }
+          appendFormattedRun(builder, fullText.substring(start, end), run.style, path, start, options);
+        });
+        offset += textElement.getText().length;
+        break;
+      }
+      case DocumentApp.ElementType.INLINE_IMAGE: {
+        closeLink();
+        const image = child.asInlineImage();
+        const alt = (image.getAltDescription() || image.getAltTitle() || 'image').replace(/[[\]\n]/g, ' ');
+        builder.append(`![${alt}](${image.getLinkUrl() || ''})`);
+        break;
+      }
+      case DocumentApp.ElementType.FOOTNOTE_REFERENCE: {
+        closeLink();
+        builder.footnotes.push(child.asFootnoteReference().getFootnoteContents().getText());
+        builder.append(`[^${builder.footnotes.length}]`);
+        break;
+      }
+    }
+  }
+  closeLink();
+}
+
+/**
+ * Casts a generic element to its concrete type so container methods are available
+ *
+ * @param {Element} element - Element returned by getChild
+ * @return {Element} The element as its concrete type
+ */
+function castElement(element) {
+  switch (element.getType()) {
+    case DocumentApp.ElementType.PARAGRAPH:
+      return element.asParagraph();
+    case DocumentApp.ElementType.LIST_ITEM:
+      return element.asListItem();
+    case DocumentApp.ElementType.TABLE:
+      return element.asTable();
+    case DocumentApp.ElementType.TABLE_ROW:
+      return element.asTableRow();
+    case DocumentApp.ElementType.TABLE_CELL:
+      return element.asTableCell();
+    default:
+      return element;
+  }
+}
+
+/**
+ * Resolves an element path recorded by the markdown builder
+ *
+ * @param {Body} body - The document body
+ * @param {Array<number>} path - Child indices from the body to the element
+ * @return {Element} The element at the path
+ */
+function resolveElementPath(body, path) {
+  if (!Array.isArray(path) || path.length === 0) {
+    throw new Error("Invalid element path");
+  }
+
+  let element = body;
+  for (const index of path) {
+    if (typeof element.getNumChildren !== 'function' || index >= element.getNumChildren()) {
+      throw new Error("Element path no longer exists in the document: " + path.join('.'));
+    }
+    element = castElement(element.getChild(index));
+  }
+  return element;
+}
+
+/**
+ * Maps a range of the generated markdown back to a document element.
+ * Markdown syntax between mapped segments is skipped; ranges spanning more
+ * than one element cannot be mapped.
+ *
+ * @param {Array} segments - Segments from buildDocumentMarkdown
+ * @param {number} start - Start index in the markdown
+ * @param {number} end - End index in the markdown (exclusive)
+ * @return {Object|null} Location with path, startOffset and endOffset (inclusive)
+ */
+function mapMarkdownRangeToDocument(segments, start, end) {
+  const first = segments.find(segment => segment.mdEnd > start);
+  let last = null;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (segments[i].mdStart < end) {
+      last = segments[i];
+      break;
+    }
+  }
+
+  if (!first || !last || first.mdStart >= end || first.path.join('.') !== last.path.join('.')) {
+    return null;
+  }
+
+  const startOffset = first.offset + Math.max(start, first.mdStart) - first.mdStart;
+  const endOffset = last.offset + Math.min(end, last.mdEnd) - last.mdStart - 1;
+
+  if (endOffset < startOffset) {
+    return null;
+  }
+
+  return {
+    path: first.path,
+    startOffset: startOffset,
+    endOffset: endOffset
+  };
+}
+
+/**
+ * Returns the document text covered by a markdown range, leaving out any
+ * markdown syntax that sits between mapped segments
+ *
+ * @param {string} markdown - Markdown from buildDocumentMarkdown
+ * @param {Array} segments - Segments from buildDocumentMarkdown
+ * @param {number} start - Start index in the markdown
+ * @param {number} end - End index in the markdown (exclusive)
+ * @return {string} The document text in the range
+ */
+function getMappedText(markdown, segments, start, end) {
+  return segments
+    .filter(segment => segment.mdEnd > start && segment.mdStart < end)
+    .map(segment => markdown.substring(Math.max(start, segment.mdStart), Math.min(end, segment.mdEnd)))
+    .join('');
+}
+
+/**
+ * Returns the offset of a text element within its paragraph's text, counting
+ * the text elements that come before it
+ *
+ * @param {Text} textElement - Text element inside a paragraph or list item
+ * @return {number} Offset of the element's first character in the paragraph
+ */
+function getTextOffsetInParagraph(textElement) {
+  const parent = textElement.getParent();
+  let offset = 0;
+  for (let i = 0; i < parent.getChildIndex(textElement); i++) {
+    const sibling = parent.getChild(i);
+    if (sibling.getType() === DocumentApp.ElementType.TEXT) {
+      offset += sibling.asText().getText().length;
+    }
+  }
+  return offset;
+}
+
+/**
+ * Parses inline markdown (bold, italic, strikethrough, code spans and links)
+ * into plain text plus the formatted ranges
+ *
+ * @param {string} markdown - A single block of inline markdown
+ * @return {Object} Object with text and spans (start, end exclusive, and styles)
+ */
+function parseInlineMarkdown(markdown) {
+  const result = { text: '', spans: [] };
+  appendInlineMarkdown(markdown, {}, result);
+  return result;
+}
+
+/**
+ * Appends inline markdown to a parse result, nesting styles as it goes
+ *
+ * @param {string} markdown - Inline markdown to append
+ * @param {Object} style - Styles inherited from enclosing spans
+ * @param {Object} result - Result from parseInlineMarkdown
+ */
+function appendInlineMarkdown(markdown, style, result) {
+  // Adjacent characters with the same style share one span
+  const addText = (text, textStyle) => {
+    if (Object.keys(textStyle).length > 0) {
+      const last = result.spans[result.spans.length - 1];
+      if (last && last.end === result.text.length &&
+          JSON.stringify({ ...last, start: 0, end: 0 }) === JSON.stringify({ ...textStyle, start: 0, end: 0 })) {
+        last.end += text.length;
+      } else {
+        result.spans.push({ ...textStyle, start: result.text.length, end: result.text.length + text.length });
+      }
+    }
+    result.text += text;
+  };
+
+  let i = 0;
+  while (i < markdown.length) {
+    const rest = markdown.substring(i);
+    const previous = i > 0 ? markdown[i - 1] : '';
+    let match;
+
+    if (rest[0] === '\\' && /^\\[\\`*_~[\]()#>+-]/.test(rest)) {
+      addText(rest[1], style);
+      i += 2;
+      continue;
+    }
+
+    if ((match = rest.match(/^`([^`]+)`/))) {
+      addText(match[1], { ...style, code: true });
+    } else if ((match = rest.match(/^\[([^\]]+)\]\(([^)\s]+)\)/))) {
+      appendInlineMarkdown(match[1], { ...style, link: match[2] }, result);
+    } else if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1(?!\w)/)) && !(match[1] === '__' && /\w/.test(previous))) {
+      appendInlineMarkdown(match[2], { ...style, bold: true }, result);
+    } else if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+      appendInlineMarkdown(match[1], { ...style, strikethrough: true }, result);
+    } else if ((match = rest.match(/^(\*|_)(?=[^\s*_])([\s\S]*?[^\s\\])\1(?![\w*])/)) && !(match[1] === '_' && /\w/.test(previous))) {
+      appendInlineMarkdown(match[2], { ...style, italic: true }, result);
+    } else {
+      addText(rest[0], style);
+      i++;
+      continue;
+    }
+    i += match[0].length;
+  }
+}
+
+/**
+ * Parses markdown into blocks the Docs renderer understands: headings,
+ * paragraphs, list items, code lines, blockquotes, GFM tables and
+ * horizontal rules.
+ * 
+ * When the text has no markdown block syntax at all, plain-text conventions
+ * are recognised instead: all-caps lines ending with a colon become headings
+ * and other short lines ending with a colon become subheadings. Lines that
+ * start with a bullet character are always treated as list items.
+ *
+ * @param {string} markdown - Markdown text
+ * @return {Array} Blocks with type, text, spans and type-specific fields
+ */
+function parseMarkdownBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const listItemRegex = /^(\s*)([-*+\u2022\u25E6\u25AA\u00B7\u2023]|\d+[.)])\s+(.*)$/;
+  const useHeuristics = lines.filter(line => line.trim()).length > 1 &&
+    !/^\s{0,3}(#{1,6}\s|[-*+]\s|\d+[.)]\s|>|```|~~~|\|)/m.test(markdown);
+  
+  const blocks = [];
+  let paragraph = null;
+  let quote = null;
+  let listIndents = [];
+  
+  // Close the paragraph or blockquote being collected
+  const flush = () => {
+    if (paragraph) {
+      blocks.push({ type: 'paragraph', ...parseInlineMarkdown(paragraph.join(' ')) });
+      paragraph = null;
+    }
+    if (quote) {
+      blocks.push({ type: 'quote', ...parseInlineMarkdown(quote.join(' ')) });
+      quote = null;
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+    
+    if ((match = line.match(/^\s{0,3}(```|~~~)/))) {
+      flush();
+      listIndents = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(match[1]); i++) {
+        blocks.push({ type: 'code', text: lines[i], spans: [] });
+      }
+      continue;
+    }
+    
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      listIndents = [];
+      blocks.push({ type: 'rule', text: '', spans: [] });
+      continue;
+    }
+    
+    // A table needs its delimiter row; without one the pipes are plain text
+    if (/^\s{0,3}\|/.test(line) && i + 1 < lines.length &&
+        /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      flush();
+      listIndents = [];
+      const rows = [splitTableRow(line)];
+      for (i += 2; i < lines.length && /^\s{0,3}\|/.test(lines[i]); i++) {
+        rows.push(splitTableRow(lines[i]));
+      }
+      i--;
+      
+      const width = rows[0].length;
+      blocks.push({
+        type: 'table',
+        text: '',
+        spans: [],
+        rows: rows.map(row => {
+          const cells = row.slice(0, width);
+          while (cells.length < width) {
+            cells.push('');
+          }
+          return cells.map(cell => parseInlineMarkdown(cell));
+        })
+      });
+      continue;
+    }
+    
+    if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/))) {
+      flush();
+      listIndents = [];
+      blocks.push({ type: 'heading', level: match[1].length, ...parseInlineMarkdown(match[2]) });
+      continue;
+    }
+    
+    if ((match = line.match(/^\s{0,3}>\s?(.*)$/))) {
+      if (paragraph) {
+        flush();
+      }
+      quote = (quote || []).concat(match[1].trim());
+      continue;
+    }
+    
+    if ((match = line.match(listItemRegex))) {
+      flush();
+      
+      // Nesting follows indentation relative to the enclosing items
+      const indent = match[1].replace(/\t/g, '    ').length;
+      while (listIndents.length > 0 && indent < listIndents[listIndents.length - 1]) {
+        listIndents.pop();
+      }
+      if (listIndents.length === 0 || indent > listIndents[listIndents.length - 1]) {
+        listIndents.push(indent);
+      }
+      
+      blocks.push({
+        type: 'listItem',
+        ordered: /\d/.test(match[2]),
+        level: Math.min(listIndents.length - 1, MARKDOWN_STYLE.MAX_LIST_NESTING),
+        ...parseInlineMarkdown(match[3])
+      });
+      continue;
+    }
+    
+    if (useHeuristics && line.trim().endsWith(':') && line.trim().length <= 80) {
+      const text = line.trim().slice(0, -1);
+      const isAllCaps = /[A-Z]/.test(text) && text === text.toUpperCase();
+      if (isAllCaps || (text.length <= 60 && !/[.!?]/.test(text))) {
+        flush();
+        listIndents = [];
+        blocks.push({ type: 'heading', level: isAllCaps ? 2 : 3, ...parseInlineMarkdown(text) });
+        continue;
+      }
+    }
+    
+    if (quote) {
+      flush();
+    }
+    listIndents = [];
+    paragraph = (paragraph || []).concat(line.trim());
+    
+    // Without markdown syntax every line is its own paragraph
+    if (useHeuristics) {
+      flush();
+    }
+  }
+  flush();
+  
+  return blocks;
+}
+
+/**
+ * Splits a GFM table row into cell markdown, keeping escaped pipes in cells
+ *
+ * @param {string} line - Table row such as "| a | b |"
+ * @return {Array<string>} Trimmed cell contents
+ */
+function splitTableRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Checks whether AI output needs the markdown renderer: it spans several
+ * paragraphs or contains block or inline markdown
+ *
+ * @param {string} text - AI output
+ * @return {boolean} True if the text is more than a plain run of text
+ */
+function hasMarkdownFormatting(text) {
+  const blocks = parseMarkdownBlocks(text);
+  return !(blocks.length === 1 && blocks[0].type === 'paragraph' &&
+    blocks[0].spans.length === 0 && blocks[0].text === text.trim());
+}
+
+/**
+ * Applies parsed inline spans to text in the document
+ *
+ * @param {Text} text - Text to format
+ * @param {number} offset - Offset of the parsed text within the element
+ * @param {Array} spans - Spans from parseInlineMarkdown
+ */
+function applyInlineMarkdown(text, offset, spans) {
+  spans.forEach(span => {
+    const start = offset + span.start;
+    const end = offset + span.end - 1;
+    if (end < start) {
+      return;
+    }
+    if (span.bold) text.setBold(start, end, true);
+    if (span.italic) text.setItalic(start, end, true);
+    if (span.strikethrough) text.setStrikethrough(start, end, true);
+    if (span.code) text.setFontFamily(start, end, MARKDOWN_STYLE.CODE_FONT);
+    if (span.link) text.setLinkUrl(start, end, span.link);
+  });
+}
+
+/**
+ * Applies the paragraph-level styling of a markdown block
+ *
+ * @param {Paragraph} paragraph - Paragraph holding the block's text
+ * @param {Object} block - Block from parseMarkdownBlocks
+ */
+function styleMarkdownBlock(paragraph, block) {
+  const text = paragraph.editAsText();
+  const length = text.getText().length;
+  
+  switch (block.type) {
+    case 'heading':
+      paragraph.setHeading(DocumentApp.ParagraphHeading['HEADING' + block.level]);
+      break;
+    case 'code':
+      paragraph.setHeading(DocumentApp.ParagraphHeading.NORMAL);
+      if (length > 0) {
+        text.setFontFamily(0, length - 1, MARKDOWN_STYLE.CODE_FONT);
+      }
+      break;
+    case 'quote':
+      paragraph.setHeading(DocumentApp.ParagraphHeading.NORMAL);
+      paragraph.setIndentStart(MARKDOWN_STYLE.QUOTE_INDENT);
+      paragraph.setIndentFirstLine(MARKDOWN_STYLE.QUOTE_INDENT);
+      if (length > 0) {
+        text.setItalic(0, length - 1, true);
+        text.setForegroundColor(0, length - 1, MARKDOWN_STYLE.QUOTE_COLOR);
+      }
+      break;
+    default:
+      paragraph.setHeading(DocumentApp.ParagraphHeading.NORMAL);
+  }
+}
+
+/**
+ * Inserts a markdown block as a new element of a container
+ *
+ * @param {Body|TableCell} container - Container to insert into
+ * @param {number} index - Child index for the new element
+ * @param {Object} block - Block from parseMarkdownBlocks
+ * @param {Element} [previous] - Element before it, so list items continue the same list
+ * @return {Paragraph|ListItem|Table} The inserted element
+ */
+function insertMarkdownBlock(container, index, block, previous = null) {
+  if (block.type === 'table') {
+    const table = container.insertTable(index, block.rows.map(row => row.map(cell => cell.text)));
+    block.rows.forEach((row, i) => {
+      row.forEach((cell, j) => {
+        applyInlineMarkdown(table.getCell(i, j).editAsText(), 0, cell.spans);
+      });
+    });
+    return table;
+  }
+  
+  if (block.type === 'listItem') {
+    const listItem = container.insertListItem(index, block.text);
+    if (previous && previous.getType() === DocumentApp.ElementType.LIST_ITEM) {
+      listItem.setListId(previous.asListItem());
+    }
+    listItem.setNestingLevel(block.level);
+    listItem.setGlyphType(block.ordered ? DocumentApp.GlyphType.NUMBER : DocumentApp.GlyphType.BULLET);
+    applyInlineMarkdown(listItem.editAsText(), 0, block.spans);
+    return listItem;
+  }
+  
+  const paragraph = container.insertParagraph(index, block.text);
+  if (block.type === 'rule') {
+    paragraph.appendHorizontalRule();
+  }
+  styleMarkdownBlock(paragraph, block);
+  applyInlineMarkdown(paragraph.editAsText(), 0, block.spans);
+  return paragraph;
+}
+
+/**
+ * Replaces a range of a paragraph with AI output, rendering markdown as Docs
+ * formatting instead of inserting the raw syntax.
+ * 
+ * A lone paragraph of inline markdown stays in place. Otherwise the first
+ * block continues the paragraph where possible, the other blocks become new
+ * elements after it, and any text after the range moves into a copy of the
+ * paragraph placed after them, so it keeps its own formatting.
+ *
+ * @param {Paragraph|ListItem} paragraph - Paragraph containing the range
+ * @param {number} startOffset - First character to replace
+ * @param {number} endOffset - Last character to replace (inclusive)
+ * @param {string} markdown - Replacement markdown
+ * @return {Object} Object with the text now at startOffset, the number of
+ *     elements added after the paragraph, and the original offset where the
+ *     moved text began (null if nothing moved)
+ */
+function replaceWithMarkdown(paragraph, startOffset, endOffset, markdown) {
+  const blocks = parseMarkdownBlocks(markdown);
+  const text = paragraph.editAsText();
+  const tailLength = text.getText().length - endOffset - 1;
+  
+  if (endOffset >= startOffset) {
+    text.deleteText(startOffset, endOffset);
+  }
+  
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    if (blocks[0].text) {
+      text.insertText(startOffset, blocks[0].text);
+      applyInlineMarkdown(text, startOffset, blocks[0].spans);
+    }
+    return { text: blocks[0].text, added: 0, tailOffset: null };
+  }
+  
+  const container = paragraph.getParent();
+  const index = container.getChildIndex(paragraph);
+  const isListItem = paragraph.getType() === DocumentApp.ElementType.LIST_ITEM;
+  
+  // Split off the text after the range before anything is inserted,
+  // dropping the whitespace that separated it from the replaced text
+  let tail = null;
+  const tailSpaces = tailLength > 0 ? text.getText().substring(startOffset).search(/\S|$/) : 0;
+  if (tailLength > tailSpaces) {
+    tail = paragraph.copy();
+    if (startOffset + tailSpaces > 0) {
+      tail.editAsText().deleteText(0, startOffset + tailSpaces - 1);
+    }
+    tail = isListItem ? container.insertListItem(index + 1, tail) : container.insertParagraph(index + 1, tail);
+  }
+  if (tailLength > 0) {
+    text.deleteText(startOffset, startOffset + tailLength - 1);
+  }
+  
+  // The first block continues the paragraph if it is plain text, or restyles
+  // it if the range started the paragraph
+  let remaining = blocks;
+  let headText = '';
+  const first = blocks[0];
+  const canRestyle = !!first && startOffset === 0 && !isListItem && ['heading', 'code', 'quote'].includes(first.type);
+  if (first && (first.type === 'paragraph' || canRestyle)) {
+    if (first.text) {
+      text.insertText(startOffset, first.text);
+      applyInlineMarkdown(text, startOffset, first.spans);
+    }
+    if (canRestyle) {
+      styleMarkdownBlock(paragraph, first);
+    }
+    headText = first.text;
+    remaining = blocks.slice(1);
+  }
+  
+  let previous = paragraph;
+  remaining.forEach((block, i) => {
+    previous = insertMarkdownBlock(container, index + 1 + i, block, previous);
+  });
+  
+  let added = remaining.length + (tail ? 1 : 0);
+  
+  // Don't leave an empty paragraph behind when the whole paragraph was replaced
+  if (!headText && text.getText().length === 0 && remaining.length > 0) {
+    paragraph.removeFromParent();
+    added--;
+  }
+  
+  return {
+    text: headText,
+    added: added,
+    tailOffset: tail ? endOffset + 1 + tailSpaces : null
+  };
+}
+
+/**
+ * Splits text into words, whitespace runs and single punctuation characters
+ *
+ * @param {string} text - Text to split
+ * @return {Array<string>} Tokens that join back into the text
+ */
+function tokenizeForDiff(text) {
+  return text.match(/[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu) || [];
+}
+
+/**
+ * Computes a minimal set of edits that turn one text into another, so a
+ * replacement can leave unchanged words (and their formatting) alone.
+ * Words are compared first, then each changed stretch is narrowed to the
+ * characters that actually differ.
+ *
+ * @param {string} original - Current text
+ * @param {string} revised - Replacement text
+ * @return {Array<Object>} Edits in order, each with offset and length in the
+ *     original text and the text to insert there
+ */
+function diffText(original, revised) {
+  const a = tokenizeForDiff(original);
+  const b = tokenizeForDiff(revised);
+  
+  // Common leading and trailing tokens never need the full table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  
+  // Longest common subsequence of the middle tokens, or none if too large
+  const operations = [];
+  if (midA.length * midB.length <= DIFF_MAX_CELLS) {
+    const lengths = [];
+    for (let i = midA.length; i >= 0; i--) {
+      lengths[i] = new Array(midB.length + 1).fill(0);
+      for (let j = midB.length - 1; i < midA.length && j >= 0; j--) {
+        lengths[i][j] = midA[i] === midB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        operations.push({ type: 'equal', text: midA[i++] });
+        j++;
+      } else if (j < midB.length && (i === midA.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        operations.push({ type: 'insert', text: midB[j++] });
+      } else {
+        operations.push({ type: 'delete', text: midA[i++] });
+      }
+    }
+  } else {
+    midA.forEach(token => operations.push({ type: 'delete', text: token }));
+    midB.forEach(token => operations.push({ type: 'insert', text: token }));
+  }
+  
+  // Group neighbouring deletes and inserts into edits
+  const edits = [];
+  let offset = a.slice(0, prefix).join('').length;
+  let current = null;
+  operations.forEach(operation => {
+    if (operation.type === 'equal') {
+      current = null;
+      offset += operation.text.length;
+      return;
+    }
+    if (!current) {
+      current = { offset: offset, removed: '', inserted: '' };
+      edits.push(current);
+    }
+    if (operation.type === 'delete') {
+      current.removed += operation.text;
+      offset += operation.text.length;
+    } else {
+      current.inserted += operation.text;
+    }
+  });
+  
+  // Keep the characters a changed word shares with its replacement
+  return edits.map(edit => {
+    let head = 0;
+    while (head < edit.removed.length && head < edit.inserted.length &&
+           edit.removed[head] === edit.inserted[head]) {
+      head++;
+    }
+    let tail = 0;
+    while (tail < edit.removed.length - head && tail < edit.inserted.length - head &&
+           edit.removed[edit.removed.length - 1 - tail] === edit.inserted[edit.inserted.length - 1 - tail]) {
+      tail++;
+    }
+    return {
+      offset: edit.offset + head,
+      length: edit.removed.length - head - tail,
+      text: edit.inserted.substring(head, edit.inserted.length - tail)
+    };
+  });
+}
+
+/**
+ * Replaces a range of a text element with new text through the edits from
+ * diffText, so untouched runs keep their attributes. Replaced text takes
+ * the formatting of the characters it replaces; pure insertions take the
+ * formatting of the preceding character (the following one at the start),
+ * without extending a link they only touch.
+ *
+ * @param {Text} text - Text element to edit
+ * @param {number} startOffset - Offset of the range in the element
+ * @param {string} original - Text currently in the range
+ * @param {string} revised - Replacement text
+ * @return {number} Number of edits applied
+ */
+function applyTextDiff(text, startOffset, original, revised) {
+  const edits = diffText(original, revised);
+  
+  // Apply from the end so earlier offsets stay valid
+  for (let i = edits.length - 1; i >= 0; i--) {
+    const edit = edits[i];
+    const start = startOffset + edit.offset;
+    const length = text.getText().length;
+    let attributes = null;
+    let link = null;
+    
+    if (edit.length > 0) {
+      attributes = text.getAttributes(start);
+      link = text.getLinkUrl(start);
+      text.deleteText(start, start + edit.length - 1);
+    } else if (length > 0) {
+      const before = start > 0 ? start - 1 : null;
+      const after = start < length ? start : null;
+      attributes = text.getAttributes(before !== null ? before : after);
+      if (before !== null && after !== null && text.getLinkUrl(before) === text.getLinkUrl(after)) {
+        link = text.getLinkUrl(before);
+      }
+    }
+    
+    if (edit.text) {
+      const end = start + edit.text.length - 1;
+      text.insertText(start, edit.text);
+      if (attributes) {
+        text.setAttributes(start, end, attributes);
+        text.setLinkUrl(start, end, link);
+      }
+    }
+  }
+  
+  return edits.length;
+}
+
+/**
+ * Get the context window and output limit for a model of the chosen
+ * provider, cached for a few minutes
+ * 
+ * @param {string} modelName - The model to use for processing
+ * @return {Object} Object with contextTokens and maxOutputTokens (null if unlimited)
+ */
+function getModelLimits(modelName) {
+  const config = getProviderConfig();
+  const cache = CacheService.getUserCache();
+  const cacheKey = `modelLimits:${config.id}:${config.baseUrl}:${modelName}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  
+  let limits = { contextTokens: CHUNK_CONFIG.DEFAULT_CONTEXT_TOKENS, maxOutputTokens: null };
+  try {
+    limits = config.provider.getLimits(config, modelName);
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Could not read model context length", {
+      provider: config.id,
+      modelName: modelName,
+      error: e.toString()
+    });
+  }
+  
+  cache.put(cacheKey, JSON.stringify(limits), CHUNK_CONFIG.CONTEXT_CACHE_SECONDS);
+  return limits;
+}
+
+/**
+ * Send a prompt to the selected model of the chosen provider and return
+ * the raw response text
+ * 
+ * @param {string} fullPrompt - Complete prompt to send
+ * @param {string} modelName - The model to use for processing
+ * @param {number} [contextTokens] - Context window to request, where the provider allows it
+ * @param {Object} [options] - Set structured to request JSON output; temperature and seed
+ * @return {string} The model's response
+ */
+function generateAIResponse(fullPrompt, modelName, contextTokens = null, options = {}) {
+  const config = getProviderConfig();
+  
+  Logger.log(`aiedit-debug: Sending ${config.provider.name} API request`, {
+    modelName: modelName,
+    promptLength: fullPrompt.length,
+    contextTokens: contextTokens
+  });
+  
+  return config.provider.generate(config, modelName, fullPrompt, {
+    ...getSamplingOptions(options),
+    structured: !!options.structured,
+    contextTokens: contextTokens
+  });
+}
+
+/**
+ * Find the document variables and user fields in a prompt template
+ * 
+ * @param {string} text - Prompt or instruction
+ * @return {Object} Object with variables (names of the document variables
+ *     used), fields (name and defaultValue of each user field) and errors
+ */
+function parsePromptTemplate(text) {
+  const variables = [];
+  const fields = [];
+  const errors = [];
+  
+  for (const match of (text || '').matchAll(TEMPLATE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const argument = match[2] === undefined ? null : match[2].trim();
+    
+    if (!TEMPLATE_VARIABLES[name]) {
+      if (!fields.some(field => field.name === name)) {
+        fields.push({ name: name, defaultValue: argument || '' });
+      }
+      continue;
+    }
+    
+    if (name === 'surrounding_paragraphs') {
+      const count = Number(argument);
+      if (argument !== null && (!/^\d+$/.test(argument) || count < 1 || count > MAX_SURROUNDING_PARAGRAPHS)) {
+        errors.push(`{{surrounding_paragraphs}} takes a number from 1 to ${MAX_SURROUNDING_PARAGRAPHS}, ` +
+          'as in {{surrounding_paragraphs:2}}');
+      }
+    } else if (argument !== null) {
+      errors.push(`{{${name}}} doesn't take an argument`);
+    }
+    if (!variables.includes(name)) {
+      variables.push(name);
+    }
+  }
+  
+  return { variables: variables, fields: fields, errors: errors };
+}
+
+/**
+ * Check that a prompt template is valid and every field without a default
+ * has a value
+ * 
+ * @param {string} text - Prompt or instruction
+ * @param {Object} [fields] - Field values by name
+ * @return {Object} The parsed template (see parsePromptTemplate)
+ */
+function validatePromptTemplate(text, fields = {}) {
+  const template = parsePromptTemplate(text);
+  if (template.errors.length > 0) {
+    throw new Error(template.errors[0]);
+  }
+  
+  const missing = template.fields.filter(field => !field.defaultValue && !String(fields[field.name] || '').trim());
+  if (missing.length > 0) {
+    throw new Error(`Fill in ${missing.map(field => `{{${field.name}}}`).join(', ')} before running this prompt`);
+  }
+  return template;
+}
+
+/**
+ * The heading of the section a markdown range is in
+ * 
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {Object} range - Range with start and end, or null if unknown
+ * @return {string} Heading text, or an empty string before the first heading
+ */
+function getSectionHeading(documentMarkdown, range) {
+  if (!range) {
+    return '';
+  }
+  const heading = documentMarkdown.headings.filter(candidate => candidate.mdStart <= range.start).pop();
+  return heading ? heading.text : '';
+}
+
+/**
+ * The paragraphs (and list items and table cells) of the document as markdown ranges
+ * 
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @return {Array<Object>} Paragraphs with path, start and end
+ */
+function getMarkdownParagraphs(documentMarkdown) {
+  // A paragraph may be written as several segments; join them back up
+  const paragraphs = [];
+  documentMarkdown.segments.forEach(segment => {
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && last.path === segment.path.join('.')) {
+      last.end = segment.mdEnd;
+    } else {
+      paragraphs.push({ path: segment.path.join('.'), start: segment.mdStart, end: segment.mdEnd });
+    }
+  });
+  return paragraphs;
+}
+
+/**
+ * The paragraphs (and list items and table cells) either side of a markdown
+ * range, as markdown
+ * 
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {Object} range - Range with start and end, or null if unknown
+ * @param {number} count - Paragraphs to take on each side
+ * @return {string} The paragraphs before and after the range
+ */
+function getSurroundingParagraphs(documentMarkdown, range, count) {
+  if (!range) {
+    return '';
+  }
+  
+  const paragraphs = getMarkdownParagraphs(documentMarkdown);
+  const text = paragraph => documentMarkdown.markdown.substring(paragraph.start, paragraph.end).trim();
+  
+  const before = paragraphs.filter(paragraph => paragraph.end <= range.start).slice(-count).map(text);
+  const after = paragraphs.filter(paragraph => paragraph.start >= range.end).slice(0, count).map(text);
+  return `Before:\n${before.join('\n\n') || '(start of document)'}\n\n` +
+    `After:\n${after.join('\n\n') || '(end of document)'}`;
+}
+
+/**
+ * Fill in a prompt template. Document variables are read from the context;
+ * fields take the user's values, or their defaults when left empty.
+ * 
+ * @param {string} text - Prompt or instruction
+ * @param {Object} context - selection (the text being edited), fields (values
+ *     by field name), and documentMarkdown and range (where the text is in
+ *     the markdown, or null) for the section and surrounding paragraphs
+ * @return {string} The prompt with every variable replaced
+ */
+function renderPromptTemplate(text, context) {
+  if (!text || text.indexOf('{{') === -1) {
+    return text;
+  }
+  
+  const fields = context.fields || {};
+  validatePromptTemplate(text, fields);
+  return text.replace(TEMPLATE_PATTERN, (match, rawName, rawArgument) => {
+    const name = rawName.toLowerCase();
+    const argument = rawArgument === undefined ? '' : rawArgument.trim();
+    switch (name) {
+      case 'selection':
+        return context.selection || '';
+      case 'document_title':
+        return DocumentApp.getActiveDocument().getName();
+      case 'section_heading':
+        return getSectionHeading(context.documentMarkdown, context.range);
+      case 'surrounding_paragraphs':
+        return getSurroundingParagraphs(context.documentMarkdown, context.range, Number(argument) || 1);
+      default:
+        return String(fields[name] || '').trim() || argument;
+    }
+  });
+}
+
+/**
+ * The most room a prompt template can take once rendered for a chunk, with
+ * every document variable at its longest. {{selection}} is the chunk itself,
+ * so it is counted as a copy of the chunk instead.
+ * 
+ * @param {string} text - Prompt or instruction
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {Object} [fields] - Field values by name
+ * @return {Object} Object with chars (length without the selection) and
+ *     selectionCount (copies of the chunk the template adds)
+ */
+function measurePromptTemplate(text, documentMarkdown, fields = {}) {
+  let selectionCount = 0;
+  if (!text || text.indexOf('{{') === -1) {
+    return { chars: (text || '').length, selectionCount: 0 };
+  }
+  
+  const paragraphLengths = getMarkdownParagraphs(documentMarkdown)
+    .map(paragraph => paragraph.end - paragraph.start)
+    .sort((a, b) => b - a);
+  const longestHeading = documentMarkdown.headings
+    .reduce((longest, heading) => Math.max(longest, heading.text.length), 0);
+  
+  let chars = 0;
+  const rest = text.replace(TEMPLATE_PATTERN, (match, rawName, rawArgument) => {
+    const name = rawName.toLowerCase();
+    const argument = rawArgument === undefined ? '' : rawArgument.trim();
+    switch (name) {
+      case 'selection':
+        selectionCount++;
+        break;
+      case 'document_title':
+        chars += DocumentApp.getActiveDocument().getName().length;
+        break;
+      case 'section_heading':
+        chars += longestHeading;
+        break;
+      case 'surrounding_paragraphs': {
+        // The longest paragraphs in the document, as many as both sides take
+        const count = Number(argument) || 1;
+        chars += 'Before:\n(start of document)\n\nAfter:\n(end of document)'.length +
+          paragraphLengths.slice(0, count * 2).reduce((sum, length) => sum + length + 2, 0);
+        break;
+      }
+      default:
+        chars += (String((fields || {})[name] || '').trim() || argument).length;
+    }
+    return '';
+  });
+  
+  return { chars: chars + rest.length, selectionCount: selectionCount };
+}
+
+/**
+ * Get the user fields the sidebar should ask for before running prompts
+ * 
+ * @param {Array<string>} texts - Prompts that will run, such as a pipeline's steps
+ * @return {Object} Result with success status and fields (name and defaultValue)
+ */
+function inspectPromptTemplate(texts) {
+  try {
+    const fields = [];
+    (texts || []).forEach(text => {
+      const template = parsePromptTemplate(text);
+      if (template.errors.length > 0) {
+        throw new Error(template.errors[0]);
+      }
+      template.fields
+        .filter(field => !fields.some(known => known.name === field.name))
+        .forEach(field => fields.push(field));
+    });
+    return { success: true, fields: fields };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
 
-             } catch (restoreError) {
-                Logger.log("aiedit-debug: Error during text restoration attempt", {
-                    error: restoreError.message,
-                    stack: restoreError.stack
-                });
-             }
-          throw new Error("Failed to verify text replacement");
-        }
-        
+/**
+ * Fill in the template variables in a comment's instruction, follow-ups and
+ * the follow-ups in its history. The comment's quoted text is the selection.
+ * 
+ * @param {Object} comment - Comment from getAIComments
+ * @param {Object} [fields] - Field values by name
+ * @return {Object} Result with success status, instruction, followUps and history
+ */
+function renderCommentTemplate(comment, fields = {}) {
+  try {
+    const context = { selection: comment.text || '', fields: fields, documentMarkdown: null, range: null };
+    const texts = [comment.instruction].concat(comment.followUps || []);
+    const variables = parsePromptTemplate(texts.join('\n')).variables;
+    
+    // Only find the comment in the document when a variable needs it
+    if (variables.includes('section_heading') || variables.includes('surrounding_paragraphs')) {
+      context.documentMarkdown = buildDocumentMarkdown();
+      context.range = findQuotedRange(context.documentMarkdown.markdown, comment.text);
+    }
+    
+    const render = text => renderPromptTemplate(text, context);
+    return {
+      success: true,
+      instruction: render(comment.instruction),
+      followUps: (comment.followUps || []).map(render),
+      history: (comment.history || []).map(turn =>
+        turn.role === 'user' ? Object.assign({}, turn, { content: render(turn.content) }) : turn)
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error rendering comment template", {
+      commentId: comment && comment.id,
+      error: e.toString()
+    });
+    return { success: false, error: e.message };
+  }
+}
 
+/**
+ * Find a comment's quoted text in the document markdown, by its first and
+ * last lines since markdown syntax may sit between them
+ * 
+ * @param {string} markdown - Markdown from buildDocumentMarkdown
+ * @param {string} quotedText - The comment's quoted text
+ * @return {Object|null} Range with start and end, or null if it wasn't found
+ */
+function findQuotedRange(markdown, quotedText) {
+  const lines = (quotedText || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const start = lines.length > 0 ? markdown.indexOf(lines[0]) : -1;
+  if (start === -1) {
+    return null;
+  }
+  const last = lines[lines.length - 1];
+  const lastStart = markdown.indexOf(last, start);
+  return { start: start, end: lastStart === -1 ? start + lines[0].length : lastStart + last.length };
+}
 
-        // Update comment to mark as accepted
-        Logger.log("aiedit-debug: Attempting to mark comment as accepted", {
-          fileId: fileId,
-          commentId: commentId,
-          textLength: sanitizedText.length,
-          resolved: true,
-          originalCommentContent: comment ? comment.content : null
-        });
-        
-        // First update the comment content
-        const acceptUpdate = retryCommentUpdate(
-          fileId,
-          commentId,
-          COMMENT_STATE.ACCEPTED + '\n\nChanges applied successfully:\n\n' +
-          'Original text:\n' + originalText + '\n\n' +
-          'New text:\n' + sanitizedText
-        );
+/**
+ * Build the full whole-document prompt for one chunk
+ * 
+ * @param {string} prompt - The user prompt for processing
+ * @param {string} content - Markdown content to review
+ * @param {string} [preamble] - Shared document context, used when the document is split
+ * @param {boolean} [structured] - Ask for JSON output instead of suggestion tags
+ * @param {Object} [template] - Context for the prompt's template variables
+ *     (see renderPromptTemplate); the content is the selection
+ * @return {string} The complete prompt
+ */
+function buildInlineSuggestionPrompt(prompt, content, preamble = '', structured = false, template = null) {
+  // Prepare the API request with suggestion format instructions
+  const formattingInstructions = structured ? `
+You are an AI editor tasked with improving the clarity, grammar, and overall quality of the following document. 
+Respond with a single JSON object in exactly this shape, and nothing else:
 
-        // Then create a resolving reply
-        if (acceptUpdate.success) {
-          try {
-            Logger.log("aiedit-debug: Creating resolving reply");
-            // First check if comment is already resolved
-            const currentComment = Drive.Comments.get(fileId, commentId, {
-              fields: 'id,resolved'
-            });
-            
-            if (currentComment.resolved) {
-              Logger.log("aiedit-debug: Comment already resolved", {
-                commentId: commentId
-              });
-              return; // Already resolved, no need to do it again
-            }
-            
-            const reply = Drive.Replies.create(
-              {
-                action: 'resolve',
-                content: 'Accepted AI suggestion'
-              },
-              fileId,
-              commentId,
-              { fields: 'id,action,resolved' }
-            );
-            
-            // Verify the comment was actually resolved
-            const verifyComment = Drive.Comments.get(fileId, commentId, {
-              fields: 'id,resolved'
-            });
-            
-            Logger.log("aiedit-debug: Created resolving reply", {
-              replyId: reply.id,
-              action: reply.action,
-              commentResolved: verifyComment.resolved
-            });
-            
-            if (!verifyComment.resolved) {
-              throw new Error('Failed to resolve comment despite successful reply creation');
-            }
-          } catch (error) {
-            Logger.log("aiedit-debug: Failed to create resolving reply", {
-              error: error.toString()
-            });
-            // Don't throw here - the text was updated successfully
-            // Just log that we couldn't resolve the comment
-          }
-        }
-        
-        if (!acceptUpdate.success) {
-          Logger.log("aiedit-debug: Failed to mark comment as accepted", {
-            error: acceptUpdate.error,
-            details: acceptUpdate.details,
-            fileId: fileId,
-            commentId: commentId
-          });
-          
-          // If comment update fails, restore original text
-          const currentText = textElement.getText();
-            //check and see if it's equal first.
-            if (currentText.substring(location.startOffset, location.startOffset + sanitizedText.length) === sanitizedText)            {
-              textElement.deleteText(location.startOffset, location.startOffset + sanitizedText.length - 1);
-              textElement.insertText(location.startOffset, originalText);
-          }
-          throw new Error("Failed to mark comment as accepted: " + 
-            (acceptUpdate.error ? acceptUpdate.error.message : "Unknown error") +
-            "\nDetails: " + JSON.stringify(acceptUpdate.details));
-        }
-        
-        Logger.log("aiedit-debug: Successfully marked comment as accepted");
-        return true;
-      } catch (error) {
-        Logger.log("aiedit-debug: Error during text replacement", {
-          error: error.toString(),
-          stack: error.stack
-        });
-        
-        // If anything fails during text replacement, restore original text *only if* it was changed.
-        try {
-          const textElement = location.element.asText();
-          const currentText = textElement.getText();
+{"suggestions": [{"original": "Original text", "revised": "Revised text", "category": "clarity", "rationale": "Why the change helps"}]}
 
-          // Check if text was actually modified using exact length comparison
-          const modifiedText = currentText.substring(location.startOffset, location.startOffset + sanitizedText.length);
-          
-          Logger.log("aiedit-debug: Checking for text restoration after error", {
-            modifiedTextLength: modifiedText.length,
-            expectedLength: sanitizedText.length,
-            matches: modifiedText === sanitizedText
-          });
-          
-          // Log the current state for debugging
-          Logger.log("aiedit-debug: Text state before restoration", {
-            currentText: currentText.substring(Math.max(0, location.startOffset - 10), 
-                                              Math.min(currentText.length, location.startOffset + sanitizedText.length + 10)),
-            modifiedTextActual: modifiedText,
-            sanitizedTextExpected: sanitizedText,
-            startOffset: location.startOffset,
-            originalTextLength: originalText.length
-          });
+Please adhere to these instructions:
+1. Only output the suggestions where changes are needed.
+2. Do not reproduce the entire document.
+3. Make only minimal, targeted edits—do not alter parts of the document that don't need changes.
+4. Each suggestion should contain the exact original text that needs to be replaced.
+5. The revised text should maintain the same general meaning but improve clarity, grammar, or style.
+6. "category" must be one of: ${SUGGESTION_CATEGORIES.join(', ')}.
+7. "rationale" is a single short sentence explaining the change.
+8. If no changes are needed, respond with {"suggestions": []}.
+` : `
+You are an AI editor tasked with improving the clarity, grammar, and overall quality of the following document. 
+For each identified improvement, output an inline suggestion using the following format:
 
-          if (modifiedText.length === sanitizedText.length && modifiedText === sanitizedText) {
-            Logger.log("aiedit-debug: Restoring text after error");
-            // Text *was* modified, so restore the original in a single operation
-            textElement.replaceText(location.startOffset, 
-                                  location.startOffset + sanitizedText.length - 1,
-                                  originalText);
-            
-            // Verify restoration
-            const restoredText = textElement.getText().substring(location.startOffset,
-                                                               location.startOffset + originalText.length);
-            Logger.log("aiedit-debug: Text restoration verification", {
-              restoredText: restoredText,
-              originalText: originalText,
-              matches: restoredText === originalText
-            });
-            
-            if (restoredText !== originalText) {
-              throw new Error("Failed to restore original text after error");
-            }
-          } else {
-            Logger.log("aiedit-debug: No restoration needed - text was not modified");
-          }
+<suggestion>Original text<changeto/>Revised text</suggestion>
 
-        } catch (restoreError) {
-          Logger.log("aiedit-debug: Error during text restoration", {
-            error: restoreError.toString(),
-            stack: restoreError.stack
-          });
-          error.message += "\nAdditionally, failed to restore original text: " + restoreError.message;
-        }
-        throw error;
+Please adhere to these instructions:
+1. Only output the suggestions where changes are needed.
+2. Do not reproduce the entire document.
+3. Make only minimal, targeted edits—do not alter parts of the document that don't need changes.
+4. Each suggestion should contain the exact original text that needs to be replaced.
+5. The revised text should maintain the same general meaning but improve clarity, grammar, or style.
+`;
+
+  const instruction = template
+    ? renderPromptTemplate(prompt, Object.assign({ selection: content }, template))
+    : prompt;
+
+  if (!preamble) {
+    return `${formattingInstructions}\n\n${instruction}\n\nHere is the document content:\n\n${content}`;
+  }
+  
+  return `${formattingInstructions}\n\n${instruction}\n\n${preamble}\n\n` +
+    `Only suggest changes to text in this section.\n\nHere is the section content:\n\n${content}`;
+}
+
+/**
+ * Build the shared context sent with every chunk: title and heading outline
+ * 
+ * @param {string} title - Document title
+ * @param {Array} headings - Headings from buildDocumentMarkdown
+ * @return {string} Preamble text
+ */
+function buildDocumentPreamble(title, headings) {
+  let outline = headings
+    .map(heading => `${'  '.repeat(heading.level - 1)}- ${heading.text}`)
+    .join('\n');
+  
+  if (outline.length > CHUNK_CONFIG.MAX_OUTLINE_CHARS) {
+    outline = outline.substring(0, CHUNK_CONFIG.MAX_OUTLINE_CHARS) + '\n...';
+  }
+  
+  return `Document title: ${title}\n\nDocument outline:\n${outline || '(no headings)'}`;
+}
+
+/**
+ * Split markdown into chunks along heading boundaries. Consecutive sections
+ * are packed together while they fit; a section larger than the budget is
+ * split between paragraphs.
+ * 
+ * @param {string} markdown - Markdown from buildDocumentMarkdown
+ * @param {Array} headings - Headings from buildDocumentMarkdown
+ * @param {number} maxChars - Maximum characters per chunk
+ * @param {Object} [range] - Markdown range to split (start, end); defaults to all of it
+ * @return {Array} Chunks with start, end (exclusive) and heading
+ */
+function splitMarkdownIntoChunks(markdown, headings, maxChars, range = null) {
+  const bounds = range || { start: 0, end: markdown.length };
+  
+  // Each section runs from a heading (or the start of the range) to the next heading
+  const sections = [];
+  const starts = headings.filter(heading => heading.mdStart > bounds.start && heading.mdStart < bounds.end);
+  const opening = headings.filter(heading => heading.mdStart <= bounds.start).pop();
+  let sectionStart = bounds.start;
+  let sectionHeading = opening ? opening.text : '';
+  
+  starts.forEach(heading => {
+    sections.push({ start: sectionStart, end: heading.mdStart, heading: sectionHeading });
+    sectionStart = heading.mdStart;
+    sectionHeading = heading.text;
+  });
+  sections.push({ start: sectionStart, end: bounds.end, heading: sectionHeading });
+  
+  const chunks = [];
+  let current = null;
+  
+  sections.forEach(section => {
+    if (section.end - section.start > maxChars) {
+      if (current) {
+        chunks.push(current);
+        current = null;
       }
-    } else {
-      // For rejections, simply update the comment
-      Logger.log("aiedit-debug: Attempting to mark comment as rejected");
-      const rejectUpdate = retryCommentUpdate(
-        fileId,
-        commentId,
-        COMMENT_STATE.REJECTED + '\n\nChanges rejected.\n\nYou can edit the comment and try again.',
-        { resolved: false }
-      );
       
-      if (!rejectUpdate.success) {
-        Logger.log("aiedit-debug: Failed to mark comment as rejected", {
-          error: rejectUpdate.error
+      // Split oversized sections between paragraphs; a single huge paragraph stays whole
+      let pieceStart = section.start;
+      let part = 1;
+      while (pieceStart < section.end) {
+        let pieceEnd = section.end;
+        if (pieceEnd - pieceStart > maxChars) {
+          const breakAt = markdown.lastIndexOf('\n\n', pieceStart + maxChars);
+          pieceEnd = breakAt > pieceStart ? breakAt + 2 : markdown.indexOf('\n\n', pieceStart + maxChars);
+          if (pieceEnd === -1 || pieceEnd > section.end) {
+            pieceEnd = section.end;
+          }
+        }
+        chunks.push({
+          start: pieceStart,
+          end: pieceEnd,
+          heading: `${section.heading || 'Untitled section'} (part ${part})`
         });
-        throw new Error("Failed to mark comment as rejected");
+        pieceStart = pieceEnd;
+        part++;
       }
-      
-      Logger.log("aiedit-debug: Successfully marked comment as rejected");
-      return true;
+      return;
     }
     
-  } catch (e) {
-    Logger.log("aiedit-debug: Final error in applyAIEdit", {
-      error: e.toString(),
-      stack: e.stack
-    });
-    throw new Error(
-      "Failed to apply changes: " + e.message + "\n\n" +
-      "Please try again. If the problem persists, " +
-      "verify the text hasn't been modified and the comment still exists."
-    );
+    if (current && section.end - current.start <= maxChars) {
+      current.end = section.end;
+    } else {
+      if (current) {
+        chunks.push(current);
+      }
+      current = { start: section.start, end: section.end, heading: section.heading };
+    }
+  });
+  
+  if (current) {
+    chunks.push(current);
   }
+  
+  return chunks
+    .filter(chunk => markdown.substring(chunk.start, chunk.end).trim().length > 0)
+    .map(chunk => ({ ...chunk, heading: chunk.heading || 'Untitled section' }));
 }
 
 /**
- * Get the current document's ID
+ * Plan how the document is split for the selected model
  * 
- * @return {String} The document ID
+ * @param {string} prompt - The user prompt for processing
+ * @param {string} modelName - The model to use for processing
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {Object} [options] - Set structured to request JSON output; scope limits
+ *     the text processed (see resolveScopeRanges); pipeline runs several prompts
+ * @return {Object} Object with chunks, preamble, contextTokens and the resolved scope
+ */
+function planDocumentChunks(prompt, modelName, documentMarkdown, options = {}) {
+  const limits = getModelLimits(modelName);
+  const title = DocumentApp.getActiveDocument().getName();
+  const preamble = buildDocumentPreamble(title, documentMarkdown.headings);
+  
+  // Reserve room for the instructions (with template variables at their
+  // longest) and preamble, then split the rest evenly between the document
+  // chunk, each copy {{selection}} adds, and the model's response
+  const baseChars = buildInlineSuggestionPrompt('', '', preamble, options.structured).length;
+  let chunkTokens = Math.min(...getPipelineSteps(prompt, options).map(step => {
+    const template = measurePromptTemplate(step.prompt, documentMarkdown, options.fields);
+    const overheadTokens = Math.ceil((baseChars + template.chars) / CHUNK_CONFIG.CHARS_PER_TOKEN);
+    return Math.floor((limits.contextTokens - overheadTokens) / (2 + template.selectionCount));
+  }));
+  if (limits.maxOutputTokens) {
+    chunkTokens = Math.min(chunkTokens, limits.maxOutputTokens);
+  }
+  const maxChars = Math.max(chunkTokens, 256) * CHUNK_CONFIG.CHARS_PER_TOKEN;
+  
+  // Only the parts of the document inside the requested scope are split and sent
+  const scope = resolveScopeRanges(documentMarkdown, options.scope);
+  const chunks = [];
+  scope.ranges.forEach(range => {
+    chunks.push(...splitMarkdownIntoChunks(documentMarkdown.markdown, documentMarkdown.headings, maxChars, range));
+  });
+  
+  if (chunks.length === 0) {
+    throw new Error("There is no text to process in the selected scope.");
+  }
+  
+  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Planned document chunks", {
+    modelName: modelName,
+    contextTokens: limits.contextTokens,
+    maxChars: maxChars,
+    scope: scope.label,
+    chunkCount: chunks.length
+  });
+  
+  return {
+    chunks: chunks,
+    preamble: preamble,
+    contextTokens: limits.contextTokens,
+    scope: scope
+  };
+}
+
+/**
+ * Finds the path recorded by the markdown builder for a document element,
+ * along with the offset of the element's text within that path's element.
+ * Text elements resolve to their enclosing paragraph or list item.
+ * 
+ * @param {Element} element - Element from a cursor or selection
+ * @return {Object} Object with path and offset
  */
-function getDocumentId() {
-  return DocumentApp.getActiveDocument().getId();
+function getElementPath(element) {
+  let offset = 0;
+  
+  if (element.getType() === DocumentApp.ElementType.TEXT) {
+    offset = getTextOffsetInParagraph(element);
+    element = element.getParent();
+  }
+  
+  const path = [];
+  while (element.getParent() && element.getType() !== DocumentApp.ElementType.BODY_SECTION) {
+    const parent = element.getParent();
+    path.unshift(parent.getChildIndex(element));
+    element = parent;
+  }
+  
+  if (element.getType() !== DocumentApp.ElementType.BODY_SECTION) {
+    throw new Error("Only text in the document body can be processed.");
+  }
+  
+  return { path: path, offset: offset };
 }
 
 /**
- * Fetch available models from Ollama API
+ * Maps a text range of a document element to a markdown range. A path that
+ * names a container (such as a table) covers everything inside it.
  * 
- * @return {Array} List of available model names
+ * @param {Array} segments - Segments from buildDocumentMarkdown
+ * @param {Array<number>} path - Path from getElementPath
+ * @param {number} [startOffset] - First character of the range
+ * @param {number} [endOffset] - Last character of the range (inclusive)
+ * @return {Object|null} Range with start and end (exclusive), or null if no text is covered
  */
-function getOllamaModels() {
-  // This function is a placeholder for client-side usage
-  // In real usage, it would make API calls from JavaScript in the HTML
-  return [];
+function mapDocumentRangeToMarkdown(segments, path, startOffset = 0, endOffset = Infinity) {
+  const prefix = path.join('.');
+  let start = Infinity;
+  let end = -1;
+  
+  segments.forEach(segment => {
+    const segmentPath = segment.path.join('.');
+    if (segmentPath !== prefix && segmentPath.indexOf(prefix + '.') !== 0) {
+      return;
+    }
+    
+    // Offsets only apply to the element itself, not to a container's children
+    const from = segmentPath === prefix ? Math.max(startOffset, segment.offset) : segment.offset;
+    const to = segmentPath === prefix
+      ? Math.min(endOffset + 1, segment.offset + segment.mdEnd - segment.mdStart)
+      : segment.offset + segment.mdEnd - segment.mdStart;
+    if (to <= from) {
+      return;
+    }
+    
+    start = Math.min(start, segment.mdStart + from - segment.offset);
+    end = Math.max(end, segment.mdStart + to - segment.offset);
+  });
+  
+  return end > start ? { start: start, end: end } : null;
 }
 
 /**
- * Process AI edit with Ollama
- * This is a placeholder since actual API calls will be made client-side
+ * Returns the markdown range of the section that starts at a heading: up to
+ * the next heading of the same or a higher level
  * 
- * @param {String} text - Text to process
- * @param {String} instruction - AI instruction
- * @param {String} model - Ollama model to use
- * @return {Object} Status object
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {number} headingIndex - Index into documentMarkdown.headings
+ * @return {Object} Range with start and end (exclusive)
  */
-function processWithOllama(text, instruction, model) {
-  // This function exists as a placeholder
-  // These parameters are intentionally unused in this server-side version
-  // as the actual processing happens client-side
-  Logger.log("aiedit-debug: processWithOllama called (server-side placeholder)", {
-    textLength: text ? text.length : 0,
-    hasInstruction: !!instruction,
-    model: model || "unknown"
-  });
+function getHeadingSectionRange(documentMarkdown, headingIndex) {
+  const headings = documentMarkdown.headings;
+  const heading = headings[headingIndex];
+  const next = headings.slice(headingIndex + 1).find(other => other.level <= heading.level);
   
   return {
-    success: false,
-    message: 'This function should be called from client side'
+    start: heading.mdStart,
+    end: next ? next.mdStart : documentMarkdown.markdown.length
   };
 }
 
 /**
- * Process text with Gemini API
+ * Resolves the part of the document a whole-document prompt applies to.
  * 
- * @param {String} prompt - Full prompt to send to Gemini
- * @return {Object} Response object with Gemini API response
+ * Scope types:
+ *   document  - the whole body (default)
+ *   selection - the current selection
+ *   section   - the section under the cursor, from its heading to the next
+ *               heading of the same or a higher level
+ *   headings  - the sections of the headings listed in scope.headings
+ *               (indices into the document outline)
+ *   ranges    - markdown ranges returned by an earlier call, so every
+ *               section of one run uses the same scope
+ * 
+ * @param {Object} documentMarkdown - Result of buildDocumentMarkdown
+ * @param {Object} [scope] - Scope with type and, for headings or ranges, the items to include
+ * @return {Object} Object with sorted, non-overlapping ranges and a label for the UI
  */
-function processWithGemini(prompt) {
-  try {
-    // Get the API key
-    const apiKey = getGeminiApiKey();
-    
-    if (!apiKey) {
-      throw new Error("No Gemini API key found. Please add your API key in the settings.");
-    }
-    
-    Logger.log("aiedit-debug: Processing with Gemini API", {
-      promptLength: prompt.length
-    });
-    
-    // Set up the API request
-    const apiUrl = 'https://api.gemini.google.com/v1beta/models/gemini-2.0-flash:generate';
-    const requestOptions = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      },
-      payload: JSON.stringify({
-        contents: [
-          {
-            parts: [
-              { text: prompt }
-            ]
-          }
-        ],
-        generationConfig: {
-          maxOutputTokens: 8192,
-          temperature: 0.7
+function resolveScopeRanges(documentMarkdown, scope) {
+  const { markdown, segments, headings } = documentMarkdown;
+  const type = (scope && scope.type) || 'document';
+  const doc = DocumentApp.getActiveDocument();
+  let ranges = [];
+  let label = '';
+  
+  switch (type) {
+    case 'document':
+      ranges = [{ start: 0, end: markdown.length }];
+      label = 'Whole document';
+      break;
+      
+    case 'selection': {
+      const selection = doc.getSelection();
+      if (!selection) {
+        throw new Error("Select some text in the document first.");
+      }
+      
+      // A selection is contiguous, so one range from its first to its last character covers it
+      let start = Infinity;
+      let end = -1;
+      selection.getRangeElements().forEach(rangeElement => {
+        const { path, offset } = getElementPath(rangeElement.getElement());
+        const range = rangeElement.isPartial()
+          ? mapDocumentRangeToMarkdown(segments, path,
+              offset + rangeElement.getStartOffset(), offset + rangeElement.getEndOffsetInclusive())
+          : mapDocumentRangeToMarkdown(segments, path, offset,
+              rangeElement.getElement().getType() === DocumentApp.ElementType.TEXT
+                ? offset + rangeElement.getElement().asText().getText().length - 1
+                : Infinity);
+        if (range) {
+          start = Math.min(start, range.start);
+          end = Math.max(end, range.end);
         }
-      }),
-      muteHttpExceptions: true
-    };
-    
-    // Send the request
-    const response = UrlFetchApp.fetch(apiUrl, requestOptions);
-    const responseCode = response.getResponseCode();
-    const responseText = response.getContentText();
-    
-    Logger.log("aiedit-debug: Received Gemini API response", {
-      responseCode: responseCode,
-      responseLength: responseText.length
-    });
-    
-    if (responseCode !== 200) {
-      throw new Error(`Gemini API request failed with status ${responseCode}: ${responseText}`);
+      });
+      
+      if (end <= start) {
+        throw new Error("The selection doesn't contain any text that can be edited.");
+      }
+      ranges = [{ start: start, end: end }];
+      label = 'Selection';
+      break;
     }
     
-    // Parse the response
-    const responseJson = JSON.parse(responseText);
-    
-    // Extracting the response based on actual Gemini API response format
-    // Format: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
-    if (!responseJson.candidates || 
-        !responseJson.candidates[0] || 
-        !responseJson.candidates[0].content || 
-        !responseJson.candidates[0].content.parts || 
-        !responseJson.candidates[0].content.parts[0] || 
-        !responseJson.candidates[0].content.parts[0].text) {
+    case 'section': {
+      const cursor = doc.getCursor();
+      const selection = doc.getSelection();
+      const anchor = cursor
+        ? cursor.getElement()
+        : selection && selection.getRangeElements()[0].getElement();
+      if (!anchor) {
+        throw new Error("Place the cursor in the section you want to process.");
+      }
       
-      // Log the actual response structure for debugging
-      Logger.log("aiedit-debug: Unexpected Gemini API response format", {
-        responsePreview: JSON.stringify(responseJson).substring(0, 500) + "..."
+      const topIndex = getElementPath(anchor).path[0];
+      let headingIndex = -1;
+      headings.forEach((heading, index) => {
+        if (heading.path[0] <= topIndex) {
+          headingIndex = index;
+        }
       });
       
-      throw new Error("Unexpected Gemini API response format");
+      if (headingIndex === -1) {
+        // Text before the first heading forms its own section
+        ranges = [{ start: 0, end: headings.length > 0 ? headings[0].mdStart : markdown.length }];
+        label = 'Section: Untitled section';
+      } else {
+        ranges = [getHeadingSectionRange(documentMarkdown, headingIndex)];
+        label = `Section: ${headings[headingIndex].text}`;
+      }
+      break;
     }
     
-    const aiResponse = responseJson.candidates[0].content.parts[0].text || "";
+    case 'headings': {
+      const chosen = (scope.headings || []).filter(index => index >= 0 && index < headings.length);
+      if (chosen.length === 0) {
+        throw new Error("Choose at least one heading to process.");
+      }
+      ranges = chosen.map(index => getHeadingSectionRange(documentMarkdown, index));
+      label = `Sections: ${chosen.map(index => headings[index].text).join(', ')}`;
+      break;
+    }
     
-    return {
-      success: true,
-      response: aiResponse
-    };
-  } catch (e) {
-    Logger.log("aiedit-debug: Error processing with Gemini API", {
-      error: e.toString(),
-      stack: e.stack
-    });
-    return {
-      success: false,
-      error: e.message
-    };
+    case 'ranges':
+      ranges = (scope.ranges || []).map(range => ({
+        start: Math.max(0, range.start),
+        end: Math.min(markdown.length, range.end)
+      }));
+      label = scope.label || 'Selected ranges';
+      break;
+      
+    default:
+      throw new Error("Unknown scope: " + type);
   }
+  
+  // Sort and merge so a section chosen together with its parent is only sent once
+  const merged = [];
+  ranges
+    .filter(range => range.end > range.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+  
+  return {
+    ranges: merged,
+    label: label,
+    partial: type !== 'document'
+  };
 }
 
 /**
- * Apply a suggested change to the document
+ * Returns the document's headings for the outline picker
  * 
- * @param {Object} suggestion - Suggestion object with location and revised text
- * @return {Object} Result with success status
+ * @return {Object} Object with success status and headings (index, level, text)
  */
-function applySuggestedChange(suggestion) {
+function getDocumentOutline() {
   try {
-    if (!suggestion || !suggestion.location || !suggestion.revisedText) {
-      throw new Error("Invalid suggestion data");
-    }
-    
-    Logger.log("aiedit-debug: Applying suggested change", {
-      originalTextLength: suggestion.originalText.length,
-      revisedTextLength: suggestion.revisedText.length,
-      startOffset: suggestion.location.startOffset,
-      endOffset: suggestion.location.endOffset
-    });
-    
-    const textElement = suggestion.location.element.asText();
-    const elementLength = textElement.getText().length;
-    
-    // Validate indices are within bounds
-    if (suggestion.location.startOffset < 0 || suggestion.location.endOffset >= elementLength) {
-      throw new Error(`Invalid text range: start=${suggestion.location.startOffset}, end=${suggestion.location.endOffset}, length=${elementLength}`);
-    }
-    
-    // Replace text in the document
-    textElement.deleteText(suggestion.location.startOffset, suggestion.location.endOffset);
-    textElement.insertText(suggestion.location.startOffset, suggestion.revisedText);
-    
-    // Verify the replacement
-    const verifyText = textElement.getText().substring(
-      suggestion.location.startOffset, 
-      suggestion.location.startOffset + suggestion.revisedText.length
-    );
-    
-    if (verifyText !== suggestion.revisedText) {
-      // Try to restore original text if verification fails
-      textElement.deleteText(
-        suggestion.location.startOffset, 
-        suggestion.location.startOffset + suggestion.revisedText.length - 1
-      );
-      textElement.insertText(suggestion.location.startOffset, suggestion.originalText);
-      
-      throw new Error("Failed to verify text replacement");
-    }
-    
-    Logger.log("aiedit-debug: Successfully applied suggestion");
-    return { success: true };
+    const documentMarkdown = buildDocumentMarkdown();
     
+    return {
+      success: true,
+      headings: documentMarkdown.headings.map((heading, index) => ({
+        index: index,
+        level: heading.level,
+        text: heading.text
+      }))
+    };
   } catch (e) {
-    Logger.log("aiedit-debug: Error applying suggested change", {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error reading document outline", {
       error: e.toString(),
       stack: e.stack
     });
@@ -1409,438 +6552,773 @@ function applySuggestedChange(suggestion) {
 }
 
 /**
- * Save the Gemini API key to user properties
+ * Returns the position index entries inside a markdown range, rebased so
+ * that the range starts at index 0. Segments that cross the edge of the
+ * range are clipped to it.
  * 
- * @param {String} apiKey - Gemini API key
- * @return {Boolean} Success status
+ * @param {Array} segments - Segments from buildDocumentMarkdown
+ * @param {number} start - Start index in the markdown
+ * @param {number} end - End index in the markdown (exclusive)
+ * @return {Array} Rebased segments
  */
-function saveGeminiApiKey(apiKey) {
-  try {
-    if (!apiKey) {
-      Logger.log("aiedit-debug: No API key provided");
-      return false;
-    }
-    
-    Logger.log("aiedit-debug: Saving Gemini API key");
-    
-    const userProperties = PropertiesService.getUserProperties();
-    userProperties.setProperty('geminiApiKey', apiKey);
-    
-    return true;
-  } catch (e) {
-    Logger.log("aiedit-debug: Error saving Gemini API key", {
-      error: e.toString(),
-      stack: e.stack
+function sliceSegments(segments, start, end) {
+  return segments
+    .filter(segment => segment.mdEnd > start && segment.mdStart < end)
+    .map(segment => {
+      const clippedStart = Math.max(segment.mdStart, start);
+      return {
+        ...segment,
+        mdStart: clippedStart - start,
+        mdEnd: Math.min(segment.mdEnd, end) - start,
+        offset: segment.offset + clippedStart - segment.mdStart
+      };
     });
-    return false;
-  }
 }
 
 /**
- * Get the Gemini API key from user properties
+ * Splits the document into sections sized for the selected model
  * 
- * @return {String} Gemini API key or empty string if not found
+ * @param {string} prompt - The user prompt for processing
+ * @param {string} modelName - The model to use for processing
+ * @param {Object} [options] - Set structured to request JSON output; scope limits
+ *     the text processed (see resolveScopeRanges)
+ * @return {Object} Object with success status, chunk summaries and the resolved scope
  */
-function getGeminiApiKey() {
+function getDocumentChunks(prompt, modelName, options = {}) {
   try {
-    const userProperties = PropertiesService.getUserProperties();
-    const apiKey = userProperties.getProperty('geminiApiKey');
+    // Fail before any section runs if a field is missing
+    getPipelineSteps(prompt, options).forEach(step => validatePromptTemplate(step.prompt, options.fields));
     
-    Logger.log("aiedit-debug: Retrieving Gemini API key", {
-      exists: !!apiKey
-    });
+    const documentMarkdown = buildDocumentMarkdown();
+    const plan = planDocumentChunks(prompt, modelName, documentMarkdown, options);
     
-    return apiKey || '';
+    return {
+      success: true,
+      chunks: plan.chunks.map((chunk, index) => ({
+        index: index,
+        heading: chunk.heading,
+        length: chunk.end - chunk.start
+      })),
+      // Pass this back as options.scope so each section is cut from the same ranges
+      scope: {
+        type: 'ranges',
+        ranges: plan.scope.ranges,
+        label: plan.scope.label
+      }
+    };
   } catch (e) {
-    Logger.log("aiedit-debug: Error retrieving Gemini API key", {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error splitting document into chunks", {
       error: e.toString(),
       stack: e.stack
     });
-    return '';
-  }
-}
-
-/**
- * Parses AI-generated text to extract suggested changes using the specified format
- * <suggestion>Original text<changeto/>Revised text</suggestion>
- * 
- * @param {string} aiResponse - The text response from the AI model
- * @return {Array} An array of objects with original and revised text
- */
-function parseSuggestedChanges(aiResponse) {
-  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Parsing suggested changes from AI response", 
-           { responseLength: aiResponse ? aiResponse.length : 0 });
-  
-  if (!aiResponse) {
-    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "No AI response to parse");
-    return [];
-  }
-  
-  const suggestionRegex = /<suggestion>([\s\S]*?)<changeto\/>([\s\S]*?)<\/suggestion>/g;
-  const suggestions = [];
-  let match;
-  
-  try {
-    while ((match = suggestionRegex.exec(aiResponse)) !== null) {
-      if (match.length === 3) {
-        suggestions.push({
-          original: match[1].trim(),
-          revised: match[2].trim()
-        });
-      }
-    }
-    
-    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Found ${suggestions.length} suggestions in AI response`);
-    return suggestions;
-  } catch (error) {
-    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error parsing suggested changes", { error: error.toString() });
-    return [];
-  }
-}
-
-/**
- * Locates each suggestion's position in the document text
- * 
- * @param {string} documentText - The full document text
- * @param {Array} suggestions - Array of suggestion objects with original and revised text
- * @return {Array} The suggestions with their locations in the document
- */
-function findSuggestionLocations(documentText, suggestions) {
-  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Finding suggestion locations in document", 
-           { docLength: documentText.length, suggestionCount: suggestions.length });
-  
-  if (!documentText || !suggestions || suggestions.length === 0) {
-    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Missing document text or suggestions for location finding");
-    return [];
-  }
-  
-  const locatedSuggestions = [];
-  const unlocatedSuggestions = [];
-  
-  suggestions.forEach((suggestion, index) => {
-    try {
-      const exactIndex = documentText.indexOf(suggestion.original);
-      
-      if (exactIndex !== -1) {
-        // Found exact match
-        locatedSuggestions.push({
-          ...suggestion,
-          index: exactIndex,
-          length: suggestion.original.length
-        });
-        return;
-      }
-      
-      // No exact match found, try finding similar matches
-      let bestMatch = null;
-      let bestScore = 0;
-      
-      // Split document into chunks of similar size to the original text
-      const chunkSize = Math.max(100, suggestion.original.length * 2);
-      for (let i = 0; i < documentText.length - suggestion.original.length; i += chunkSize / 2) {
-        const chunk = documentText.substr(i, chunkSize);
-        const similarity = calculateSimilarity(chunk, suggestion.original);
-        
-        if (similarity > bestScore && similarity > 0.7) { // Only consider matches with high similarity
-          bestScore = similarity;
-          bestMatch = {
-            index: i,
-            length: chunk.length
-          };
-        }
-      }
-      
-      if (bestMatch) {
-        locatedSuggestions.push({
-          ...suggestion,
-          index: bestMatch.index,
-          length: suggestion.original.length,
-          fuzzyMatch: true,
-          similarity: bestScore
-        });
-      } else {
-        unlocatedSuggestions.push(suggestion);
-      }
-    } catch (error) {
-      logDebug(LOG_CONFIG.CATEGORIES.ERROR, `Error locating suggestion ${index}`, { error: error.toString() });
-      unlocatedSuggestions.push(suggestion);
-    }
-  });
-  
-  logDebug(LOG_CONFIG.CATEGORIES.DEBUG, `Located ${locatedSuggestions.length} suggestions, failed to locate ${unlocatedSuggestions.length}`);
-  
-  return {
-    located: locatedSuggestions,
-    unlocated: unlocatedSuggestions
-  };
-}
-
-/**
- * Converts the active document to markdown format
- * 
- * @return {string} Document content in markdown format
- */
-function getDocumentAsMarkdown() {
-  try {
-    const doc = DocumentApp.getActiveDocument();
-    const body = doc.getBody();
-    const numElements = body.getNumChildren();
-    let markdown = '';
-    
-    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Converting document to markdown", { numElements });
-    
-    // Process each element in the document
-    for (let i = 0; i < numElements; i++) {
-      const element = body.getChild(i);
-      const type = element.getType();
-      
-      switch (type) {
-        case DocumentApp.ElementType.PARAGRAPH:
-          markdown += processParagraphToMarkdown(element.asParagraph());
-          break;
-        case DocumentApp.ElementType.TABLE:
-          markdown += processTableToMarkdown(element.asTable());
-          break;
-        case DocumentApp.ElementType.LIST_ITEM:
-          markdown += processListItemToMarkdown(element.asListItem());
-          break;
-        case DocumentApp.ElementType.HORIZONTAL_RULE:
-          markdown += '---\n\n';
-          break;
-        // Add other element types as needed
-      }
-    }
-    
-    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Completed document to markdown conversion", 
-             { markdownLength: markdown.length });
-    
-    return markdown;
-  } catch (error) {
-    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error converting document to markdown", 
-             { error: error.toString() });
-    return '';
+    return {
+      success: false,
+      error: e.message
+    };
   }
 }
 
 /**
- * Converts a paragraph element to markdown
+ * The prompts a whole-document run sends: the steps of options.pipeline, or
+ * just the prompt
  * 
- * @param {Paragraph} paragraph - The paragraph element
- * @return {string} Markdown representation of the paragraph
+ * @param {string} prompt - The user prompt for processing
+ * @param {Object} [options] - Options with an optional pipeline (name and
+ *     steps, each with the name and text of a prompt)
+ * @return {Array<Object>} Steps with name and prompt
  */
-function processParagraphToMarkdown(paragraph) {
-  const text = paragraph.getText();
-  const headingType = paragraph.getHeading();
-  
-  // Skip empty paragraphs
-  if (!text || text.trim().length === 0) {
-    return '\n';
+function getPipelineSteps(prompt, options = {}) {
+  if (!options.pipeline) {
+    return [{ name: '', prompt: prompt }];
   }
   
-  // Handle headings
-  switch (headingType) {
-    case DocumentApp.ParagraphHeading.HEADING1:
-      return `# ${text}\n\n`;
-    case DocumentApp.ParagraphHeading.HEADING2:
-      return `## ${text}\n\n`;
-    case DocumentApp.ParagraphHeading.HEADING3:
-      return `### ${text}\n\n`;
-    case DocumentApp.ParagraphHeading.HEADING4:
-      return `#### ${text}\n\n`;
-    case DocumentApp.ParagraphHeading.HEADING5:
-      return `##### ${text}\n\n`;
-    case DocumentApp.ParagraphHeading.HEADING6:
-      return `###### ${text}\n\n`;
-    default:
-      // Process inline text formatting
-      return `${processTextWithFormatting(paragraph)}\n\n`;
+  const steps = options.pipeline.steps || [];
+  if (steps.length === 0) {
+    throw new Error(`The pipeline "${options.pipeline.name}" has no steps`);
+  }
+  if (steps.length > PIPELINE_CONFIG.MAX_STEPS) {
+    throw new Error(`A pipeline can have at most ${PIPELINE_CONFIG.MAX_STEPS} steps`);
   }
+  return steps.map(step => {
+    const entry = normalizePrompt(step && step.name, step && step.prompt);
+    return { name: entry.name, prompt: entry.prompt };
+  });
 }
 
 /**
- * Converts a list item to markdown
+ * Position in the original text of a position in the revised text
  * 
- * @param {ListItem} listItem - The list item element
- * @return {string} Markdown representation of the list item
+ * @param {Array<Object>} changes - Changes from runPipelineOnChunk
+ * @param {number} position - Offset in the revised text
+ * @return {number} Offset in the original text
  */
-function processListItemToMarkdown(listItem) {
-  const text = listItem.getText();
-  const glyphType = listItem.getGlyphType();
-  const indentLevel = listItem.getNestingLevel();
-  const indent = '  '.repeat(indentLevel);
-  
-  // Handle different list types
-  if (glyphType === DocumentApp.GlyphType.NUMBER) {
-    return `${indent}1. ${text}\n`;
-  } else {
-    return `${indent}* ${text}\n`;
+function toOriginalOffset(changes, position) {
+  let revised = 0;
+  let original = 0;
+  for (const change of changes) {
+    if (change.type === 'equal') {
+      if (position < revised + change.text.length) {
+        return original + position - revised;
+      }
+      revised += change.text.length;
+      original += change.text.length;
+    } else if (change.type === 'insert') {
+      if (position < revised + change.text.length) {
+        return original;
+      }
+      revised += change.text.length;
+    } else {
+      original += change.text.length;
+    }
   }
+  return original;
 }
 
 /**
- * Converts a table to markdown
+ * Apply one edit made by a pipeline step to the cumulative changes. Text the
+ * edit removes is marked deleted if it was original, or dropped if an earlier
+ * step inserted it; the new text is marked as inserted by the step.
  * 
- * @param {Table} table - The table element
- * @return {string} Markdown representation of the table
+ * @param {Array<Object>} changes - Changes with type (equal, delete or insert), text and step
+ * @param {number} offset - Offset of the edit in the revised text
+ * @param {number} length - Characters the edit removes
+ * @param {string} text - Text the edit inserts
+ * @param {number} step - Index of the step making the edit
+ * @return {Array<Object>} The updated changes
  */
-function processTableToMarkdown(table) {
-  let markdown = '';
-  const numRows = table.getNumRows();
+function applyPipelineEdit(changes, offset, length, text, step) {
+  const result = [];
+  let revised = 0;
+  let inserted = false;
+  const insert = () => {
+    if (!inserted && text) {
+      result.push({ type: 'insert', text: text, step: step });
+    }
+    inserted = true;
+  };
   
-  for (let i = 0; i < numRows; i++) {
-    const row = table.getRow(i);
-    const numCells = row.getNumCells();
-    const cells = [];
-    
-    for (let j = 0; j < numCells; j++) {
-      cells.push(row.getCell(j).getText().trim());
+  changes.forEach(change => {
+    if (change.type === 'delete') {
+      result.push(change);
+      return;
     }
     
-    markdown += `| ${cells.join(' | ')} |\n`;
+    const start = revised;
+    revised += change.text.length;
+    const cutStart = Math.min(Math.max(offset - start, 0), change.text.length);
+    const cutEnd = Math.min(Math.max(offset + length - start, 0), change.text.length);
+    const before = change.text.substring(0, cutStart);
+    const removed = change.text.substring(cutStart, cutEnd);
+    const after = change.text.substring(cutEnd);
     
-    // Add header separator row after first row
-    if (i === 0) {
-      markdown += `| ${cells.map(() => '---').join(' | ')} |\n`;
+    if (before) {
+      result.push(Object.assign({}, change, { text: before }));
     }
-  }
+    if (removed && change.type === 'equal') {
+      result.push({ type: 'delete', text: removed, step: step });
+    }
+    if (after) {
+      insert();
+      result.push(Object.assign({}, change, { text: after }));
+    }
+  });
+  insert();
   
-  return markdown + '\n';
+  return result;
 }
 
 /**
- * Processes text with inline formatting
+ * Text on one side of the cumulative changes
  * 
- * @param {Paragraph} paragraph - The paragraph containing text
- * @return {string} Text with markdown formatting
+ * @param {Array<Object>} changes - Changes from runPipelineOnChunk
+ * @param {string} side - 'original' or 'revised'
+ * @return {string} The text
  */
-function processTextWithFormatting(paragraph) {
-  const text = paragraph.getText();
-  let markdown = text;
+function getPipelineText(changes, side) {
+  const skipped = side === 'original' ? 'insert' : 'delete';
+  return changes.filter(change => change.type !== skipped).map(change => change.text).join('');
+}
+
+/**
+ * The changes that fall within a range of the original text. Insertions at
+ * either end of the range are included.
+ * 
+ * @param {Array<Object>} changes - Changes from runPipelineOnChunk
+ * @param {number} start - Start of the range in the original text
+ * @param {number} end - End of the range (exclusive)
+ * @return {Array<Object>} Changes in the range, neighbours of the same kind merged
+ */
+function slicePipelineChanges(changes, start, end) {
+  const result = [];
+  let original = 0;
+  changes.forEach(change => {
+    let text = change.text;
+    if (change.type === 'insert') {
+      if (original < start || original > end) return;
+    } else {
+      const from = Math.max(start, original);
+      const to = Math.min(end, original + change.text.length);
+      text = to > from ? change.text.substring(from - original, to - original) : '';
+      original += change.text.length;
+    }
+    if (!text) return;
+    
+    const last = result[result.length - 1];
+    if (last && last.type === change.type && last.step === change.step) {
+      last.text += text;
+    } else {
+      result.push(change.type === 'equal' ? { type: 'equal', text: text } : { type: change.type, text: text, step: change.step });
+    }
+  });
   
-  // This is a simplified version - a full implementation would need to handle
-  // overlapping formatting and other complexities
-  const textObj = paragraph.editAsText();
+  // Text one step removed and a later one put back is unchanged
+  return result.reduce((merged, change) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === 'delete' && change.type === 'insert' && last.text === change.text) {
+      merged.pop();
+      change = { type: 'equal', text: change.text };
+    }
+    const previous = merged[merged.length - 1];
+    if (change.type === 'equal' && previous && previous.type === 'equal') {
+      previous.text += change.text;
+    } else {
+      merged.push(change);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Run the steps of a prompt pipeline over one chunk. Each step sees the text
+ * as revised by the steps before it; its suggestions are applied as word
+ * diffs, so every change remembers the step that made it. The passages
+ * any step touched become the suggestions, each with the cumulative change
+ * from the original text.
+ * 
+ * @param {Array<Object>} steps - Steps from getPipelineSteps
+ * @param {string} content - Markdown of the chunk
+ * @param {Array} segments - Segments of the chunk, from sliceSegments
+ * @param {string} preamble - Shared document context, if any
+ * @param {string} modelName - The model to use for processing
+ * @param {number} contextTokens - Context window of the model
+ * @param {Object} options - Processing options (see processDocumentForInlineSuggestions)
+ * @param {Object} [template] - Context for template variables (see renderPromptTemplate)
+ * @return {Object} Object with located suggestions (index relative to the chunk),
+ *     unlocatedCount, totalSuggestions and per-step suggestion counts
+ */
+function runPipelineOnChunk(steps, content, segments, preamble, modelName, contextTokens, options, template = null) {
+  let changes = [{ type: 'equal', text: content }];
+  const spans = [];
+  const stepCounts = steps.map(() => 0);
+  let unlocatedCount = 0;
+  let totalSuggestions = 0;
   
-  // Check for bold text
-  for (let i = 0; i < text.length; i++) {
-    const isBold = textObj.isBold(i);
-    const isItalic = textObj.isItalic(i);
+  steps.forEach((step, stepIndex) => {
+    const current = getPipelineText(changes, 'revised');
+    const fullPrompt = buildInlineSuggestionPrompt(step.prompt, current, preamble, options.structured, template);
+    const aiResponse = generateAIResponse(fullPrompt, modelName, contextTokens, options);
+    const suggestions = options.structured
+      ? parseStructuredSuggestions(aiResponse)
+      : parseSuggestedChanges(aiResponse);
+    totalSuggestions += suggestions.length;
     
-    // This is just a placeholder - real implementation would be more complex
-    // to handle proper markdown conversion of formatting
-  }
+    // Later steps need the exact text, so only exact, non-overlapping matches are kept
+    const accepted = [];
+    findSuggestionLocations(current, suggestions).located
+      .filter(suggestion => !suggestion.fuzzyMatch && suggestion.original !== suggestion.revised)
+      .sort((a, b) => a.index - b.index)
+      .forEach(suggestion => {
+        const previous = accepted[accepted.length - 1];
+        if (!previous || suggestion.index >= previous.index + previous.length) {
+          accepted.push(suggestion);
+        }
+      });
+    unlocatedCount += suggestions.length - accepted.length;
+    stepCounts[stepIndex] = accepted.length;
+    
+    accepted.forEach(suggestion => {
+      spans.push({
+        start: toOriginalOffset(changes, suggestion.index),
+        end: toOriginalOffset(changes, suggestion.index + suggestion.length),
+        step: stepIndex,
+        category: suggestion.category,
+        rationale: suggestion.rationale
+      });
+    });
+    
+    // Apply back to front so earlier offsets stay valid
+    accepted.reverse().forEach(suggestion => {
+      diffText(suggestion.original, suggestion.revised).reverse().forEach(edit => {
+        changes = applyPipelineEdit(changes, suggestion.index + edit.offset, edit.length, edit.text, stepIndex);
+      });
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Ran pipeline step", {
+      step: step.name,
+      suggestions: suggestions.length,
+      applied: accepted.length
+    });
+  });
+  
+  // Passages touched by more than one step become a single suggestion
+  const passages = [];
+  spans.sort((a, b) => a.start - b.start).forEach(span => {
+    const last = passages[passages.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+      last.spans.push(span);
+    } else {
+      passages.push({ start: span.start, end: span.end, spans: [span] });
+    }
+  });
+  
+  const located = [];
+  passages.forEach(passage => {
+    const passageChanges = slicePipelineChanges(changes, passage.start, passage.end);
+    const original = content.substring(passage.start, passage.end);
+    const revised = getPipelineText(passageChanges, 'revised');
+    if (original === revised) {
+      return;
+    }
+    
+    const location = mapMarkdownRangeToDocument(segments, passage.start, passage.end);
+    if (!location) {
+      unlocatedCount++;
+      return;
+    }
+    location.text = getMappedText(content, segments, passage.start, passage.end);
+    
+    const categorized = passage.spans.find(span => span.category);
+    const rationale = passage.spans
+      .filter(span => span.rationale)
+      .map(span => `${steps[span.step].name}: ${span.rationale}`)
+      .join(' ');
+    located.push({
+      original: original,
+      revised: revised,
+      index: passage.start,
+      length: passage.end - passage.start,
+      location: location,
+      category: categorized ? categorized.category : undefined,
+      rationale: rationale || undefined,
+      changes: passageChanges,
+      steps: passageChanges
+        .map(change => change.step)
+        .filter((step, i, all) => step !== undefined && all.indexOf(step) === i)
+        .sort((a, b) => a - b)
+    });
+  });
   
-  // For simplicity, we're just returning the plain text
-  // A complete implementation would handle all text formatting
-  return markdown;
+  return {
+    located: located,
+    unlocatedCount: unlocatedCount,
+    totalSuggestions: totalSuggestions,
+    stepCounts: stepCounts
+  };
 }
 
 /**
  * Processes the document and generates inline suggestions based on user prompt
  * 
+ * Large documents are split into sections (see getDocumentChunks). Pass a
+ * chunk index to process a single section, which keeps each call within the
+ * Apps Script time limit; omit it to process every section in turn.
+ * 
  * @param {string} prompt - The user prompt for processing
  * @param {string} modelName - The model to use for processing
+ * @param {number} [chunkIndex] - Index of the section to process
+ * @param {Object} [options] - Set structured to request JSON suggestions
+ *     with a category and rationale; scope limits the text processed
+ *     (see resolveScopeRanges); pipeline, with a name and steps (each a
+ *     prompt's name and text), runs the steps in turn instead of the prompt
+ *     (see runPipelineOnChunk); fields holds values for the prompts' template
+ *     fields (see renderPromptTemplate)
  * @return {Object} Object with success status and suggestions
  */
-function processDocumentForInlineSuggestions(prompt, modelName) {
+function processDocumentForInlineSuggestions(prompt, modelName, chunkIndex = null, options = {}) {
   try {
     Logger.log("aiedit-debug: Processing document for inline suggestions", {
       promptLength: prompt.length,
-      modelName: modelName
+      modelName: modelName,
+      chunkIndex: chunkIndex,
+      structured: !!options.structured,
+      scope: options.scope ? options.scope.type : 'document',
+      pipeline: options.pipeline ? options.pipeline.name : null
     });
     
-    // Get document content as markdown
-    const documentMarkdown = getDocumentAsMarkdown();
+    // Get document content as markdown, with the index mapping it back to elements
+    const documentMarkdown = buildDocumentMarkdown();
+    const { markdown, segments } = documentMarkdown;
+    const plan = planDocumentChunks(prompt, modelName, documentMarkdown, options);
+    const steps = getPipelineSteps(prompt, options);
     
-    // Prepare the API request with suggestion format instructions
-    const formattingInstructions = `
-You are an AI editor tasked with improving the clarity, grammar, and overall quality of the following document. 
-For each identified improvement, output an inline suggestion using the following format:
-
-<suggestion>Original text<changeto/>Revised text</suggestion>
-
-Please adhere to these instructions:
-1. Only output the suggestions where changes are needed.
-2. Do not reproduce the entire document.
-3. Make only minimal, targeted edits—do not alter parts of the document that don't need changes.
-4. Each suggestion should contain the exact original text that needs to be replaced.
-5. The revised text should maintain the same general meaning but improve clarity, grammar, or style.
-`;
-
-    // Create the full prompt
-    const fullPrompt = `${formattingInstructions}\n\n${prompt}\n\nHere is the document content:\n\n${documentMarkdown}`;
+    let indices = plan.chunks.map((chunk, index) => index);
+    if (chunkIndex !== null && chunkIndex !== undefined) {
+      if (chunkIndex < 0 || chunkIndex >= plan.chunks.length) {
+        throw new Error("The document has changed since it was split into sections. Please try again.");
+      }
+      indices = [chunkIndex];
+    }
     
-    let aiResponse;
+    const located = [];
+    const stepCounts = steps.map(() => 0);
+    let unlocatedCount = 0;
+    let totalSuggestions = 0;
     
-    // Check if using Gemini API (model name starts with "gemini")
-    if (modelName.toLowerCase().startsWith("gemini")) {
-      // Process with Gemini API
-      const geminiResult = processWithGemini(fullPrompt);
+    indices.forEach(index => {
+      const chunk = plan.chunks[index];
+      const content = markdown.substring(chunk.start, chunk.end);
       
-      if (!geminiResult.success) {
-        throw new Error("Gemini API processing failed: " + (geminiResult.error || "Unknown error"));
+      // Only send the shared title and outline when the text is part of a larger document
+      let preamble = '';
+      if (plan.chunks.length > 1 || plan.scope.partial) {
+        preamble = `${plan.preamble}\n\nYou are reviewing section ${index + 1} of ${plan.chunks.length}: "${chunk.heading}".`;
+        if (plan.scope.partial) {
+          preamble += ' Only suggest changes to the text below; the rest of the document is out of scope.';
+        }
       }
       
-      aiResponse = geminiResult.response;
-    } else {
-      // Process with Ollama API
-      const apiUrl = 'http://localhost:11434/api/generate';
-      const requestOptions = {
-        method: 'post',
-        contentType: 'application/json',
-        payload: JSON.stringify({
-          model: modelName,
-          prompt: fullPrompt,
-          stream: false
-        }),
-        muteHttpExceptions: true
-      };
+      const template = { documentMarkdown: documentMarkdown, range: chunk, fields: options.fields };
       
-      Logger.log("aiedit-debug: Sending Ollama API request", {
-        modelName: modelName,
-        promptPreview: prompt.substring(0, Math.min(100, prompt.length)) + 
-                      (prompt.length > 100 ? "..." : ""),
-        documentLength: documentMarkdown.length
-      });
+      if (options.pipeline) {
+        const result = runPipelineOnChunk(steps, content, sliceSegments(segments, chunk.start, chunk.end),
+                                          preamble, modelName, plan.contextTokens, options, template);
+        result.located.forEach(suggestion => {
+          located.push({ ...suggestion, index: suggestion.index + chunk.start, section: chunk.heading });
+        });
+        result.stepCounts.forEach((count, step) => { stepCounts[step] += count; });
+        unlocatedCount += result.unlocatedCount;
+        totalSuggestions += result.totalSuggestions;
+        return;
+      }
       
-      // Send the request
-      const response = UrlFetchApp.fetch(apiUrl, requestOptions);
-      const responseCode = response.getResponseCode();
-      const responseText = response.getContentText();
+      const fullPrompt = buildInlineSuggestionPrompt(prompt, content, preamble, options.structured, template);
       
-      Logger.log("aiedit-debug: Received Ollama API response", {
-        responseCode: responseCode,
-        responseLength: responseText.length
-      });
+      const aiResponse = generateAIResponse(fullPrompt, modelName, plan.contextTokens, options);
       
-      if (responseCode !== 200) {
-        throw new Error(`Ollama API request failed with status ${responseCode}: ${responseText}`);
-      }
+      // Parse suggested changes
+      const suggestions = options.structured
+        ? parseStructuredSuggestions(aiResponse)
+        : parseSuggestedChanges(aiResponse);
       
-      // Parse the response
-      const responseJson = JSON.parse(responseText);
-      aiResponse = responseJson.response;
+      // Find text locations for suggestions and map them to document elements
+      const locations = findSuggestionLocations(content, suggestions, sliceSegments(segments, chunk.start, chunk.end));
+      
+      locations.located.forEach(suggestion => {
+        located.push({ ...suggestion, index: suggestion.index + chunk.start, section: chunk.heading });
+      });
+      unlocatedCount += locations.unlocated.length;
+      totalSuggestions += suggestions.length;
+    });
+    
+    Logger.log("aiedit-debug: Completed processing document for inline suggestions", {
+      totalSuggestions: totalSuggestions,
+      locatedSuggestions: located.length
+    });
+    
+    return {
+      success: true,
+      suggestions: located,
+      unlocatedCount: unlocatedCount,
+      totalSuggestions: totalSuggestions,
+      chunkCount: plan.chunks.length,
+      scopeLabel: plan.scope.label,
+      stepCounts: options.pipeline ? stepCounts : undefined
+    };
+  } catch (e) {
+    Logger.log("aiedit-debug: Error processing document for inline suggestions", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+}
+
+/**
+ * Anchor for published suggestion comments. Docs doesn't place comments by
+ * Drive API text offsets, so the anchor names no region; the quoted text is
+ * what locates the suggestion when the comment is processed.
+ */
+const PUBLISHED_COMMENT_ANCHOR = JSON.stringify({ r: 'head' });
+
+/**
+ * Publish whole-document suggestions as Drive comments so collaborators can
+ * review them. Each comment quotes the original text and uses the prompt as
+ * its "AI:" instruction; a PENDING_REVIEW reply carries the proposed revision, so
+ * the comment workflow can accept or reject it, or regenerate it once rejected.
+ * 
+ * @param {Array} suggestions - Located suggestions from processDocumentForInlineSuggestions
+ * @param {string} instruction - The prompt that produced the suggestions
+ * @param {string} modelName - The model that produced the suggestions
+ * @return {Object} Object with success status, published and failed suggestion indices
+ */
+function publishSuggestionsAsComments(suggestions, instruction, modelName) {
+  try {
+    const doc = DocumentApp.getActiveDocument();
+    const fileId = doc.getId();
+    const body = doc.getBody();
+    const published = [];
+    const failed = [];
+    
+    // Address the comments with a trigger this user's pipeline recognises
+    const triggers = getCommentTriggers();
+    const trigger = triggers.includes(AI_COMMENT_PREFIX) ? AI_COMMENT_PREFIX : triggers[0];
+    
+    (suggestions || []).forEach(suggestion => {
+      try {
+        const location = suggestion.location;
+        if (!location || !location.text) {
+          throw new Error("The suggestion has no location in the document");
+        }
+        if (!suggestion.revised) {
+          throw new Error("Deletions can't be published as comments");
+        }
+        
+        // Only quote text that is still where the suggestion expects it
+        const element = resolveElementPath(body, location.path);
+        if (element.getText().substring(location.startOffset, location.endOffset + 1) !== location.text) {
+          throw new Error("The original text has changed since the suggestion was made");
+        }
+        
+        const comment = Drive.Comments.create(
+          {
+            content: `${trigger} ${instruction}`,
+            anchor: PUBLISHED_COMMENT_ANCHOR,
+            quotedFileContent: {
+              mimeType: 'text/plain',
+              value: location.text
+            }
+          },
+          fileId,
+          { fields: 'id' }
+        );
+        
+        Drive.Replies.create(
+          { content: formatSuggestionReply(suggestion, modelName) },
+          fileId,
+          comment.id,
+          { fields: 'id' }
+        );
+        
+        published.push({ index: suggestion.index, commentId: comment.id });
+      } catch (e) {
+        failed.push({ index: suggestion.index, error: e.message });
+      }
+    });
+    
+    logDebug(LOG_CONFIG.CATEGORIES.COMMENT, "Published suggestions as comments", {
+      published: published.length,
+      failed: failed.length
+    });
+    
+    return {
+      success: true,
+      published: published,
+      failed: failed
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error publishing suggestions as comments", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+}
+
+/**
+ * Returns the Drive folder that holds the active document, falling back to
+ * My Drive for documents the user can't see the folder of
+ *
+ * @return {Folder} The document's folder
+ */
+function getDocumentFolder() {
+  const parents = DriveApp.getFileById(DocumentApp.getActiveDocument().getId()).getParents();
+  return parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+}
+
+/**
+ * Writes the document as markdown to a .md file in the document's folder.
+ * Re-exporting updates the same file, found through a document property or,
+ * failing that, by name.
+ *
+ * @return {Object} Result with success, fileId, name, url and updated flag
+ */
+function exportMarkdownFile() {
+  try {
+    const doc = DocumentApp.getActiveDocument();
+    const markdown = buildDocumentMarkdown().markdown;
+    const name = doc.getName().replace(/\.md$/i, '') + '.md';
+    const properties = PropertiesService.getDocumentProperties();
+    
+    let file = null;
+    const savedId = properties.getProperty(MARKDOWN_EXPORT_PROPERTY);
+    if (savedId) {
+      try {
+        file = DriveApp.getFileById(savedId);
+        if (file.isTrashed()) {
+          file = null;
+        }
+      } catch (e) {
+        logDebug(LOG_CONFIG.CATEGORIES.DEBUG, "Previous markdown export is no longer available", {
+          fileId: savedId,
+          error: e.toString()
+        });
+        file = null;
+      }
+    }
+    
+    const folder = getDocumentFolder();
+    if (!file) {
+      const existing = folder.getFilesByName(name);
+      file = existing.hasNext() ? existing.next() : null;
+    }
+    
+    const updated = !!file;
+    if (file) {
+      file.setContent(markdown);
+    } else {
+      file = folder.createFile(name, markdown, 'text/markdown');
     }
+    properties.setProperty(MARKDOWN_EXPORT_PROPERTY, file.getId());
     
-    // Parse suggested changes
-    const suggestions = parseSuggestedChanges(aiResponse);
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Exported document as markdown", {
+      fileId: file.getId(),
+      updated: updated,
+      markdownLength: markdown.length
+    });
     
-    // Find text locations for suggestions
-    const locatedSuggestions = findSuggestionLocations(documentMarkdown, suggestions);
+    return {
+      success: true,
+      fileId: file.getId(),
+      name: file.getName(),
+      url: file.getUrl(),
+      updated: updated
+    };
+  } catch (e) {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error exporting document as markdown", {
+      error: e.toString(),
+      stack: e.stack
+    });
+    return {
+      success: false,
+      error: e.message
+    };
+  }
+}
+
+/**
+ * Gets the file or folder ID from a Drive link or a bare ID
+ *
+ * @param {string} reference - Link or ID
+ * @return {string|null} The ID, or null if the reference is neither
+ */
+function extractDriveId(reference) {
+  const match = reference.match(/\/d\/([-\w]{25,})/) || reference.match(/\/folders\/([-\w]{25,})/) ||
+    reference.match(/[?&]id=([-\w]{25,})/) || reference.match(/^([-\w]{25,})$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Finds a markdown file from a Drive link, a file ID or a file name. Names
+ * are looked up in the document's folder first, then anywhere in Drive.
+ * An empty reference means the file this document was last exported to.
+ *
+ * @param {string} fileReference - Link, ID or name of the file
+ * @return {File} The markdown file
+ */
+function findMarkdownFile(fileReference) {
+  const reference = (fileReference || '').trim();
+  
+  if (!reference) {
+    const savedId = PropertiesService.getDocumentProperties().getProperty(MARKDOWN_EXPORT_PROPERTY);
+    if (!savedId) {
+      throw new Error("This document hasn't been exported yet; enter the name or link of a .md file");
+    }
+    return DriveApp.getFileById(savedId);
+  }
+  
+  const fileId = extractDriveId(reference);
+  if (fileId) {
+    return DriveApp.getFileById(fileId);
+  }
+  
+  const name = /\.(md|markdown)$/i.test(reference) ? reference : reference + '.md';
+  const inFolder = getDocumentFolder().getFilesByName(name);
+  if (inFolder.hasNext()) {
+    return inFolder.next();
+  }
+  const anywhere = DriveApp.getFilesByName(name);
+  while (anywhere.hasNext()) {
+    const file = anywhere.next();
+    if (!file.isTrashed()) {
+      return file;
+    }
+  }
+  throw new Error("No markdown file named " + name + " was found in Drive");
+}
+
+/**
+ * Replaces the document body with blocks rendered from markdown
+ *
+ * @param {Body} body - The document body
+ * @param {string} markdown - Markdown to render
+ * @return {number} Number of blocks inserted
+ */
+function renderMarkdownToBody(body, markdown) {
+  const blocks = parseMarkdownBlocks(markdown);
+  
+  // A cleared body keeps one empty paragraph; build after it, then drop it
+  body.clear();
+  const placeholder = body.getChild(0);
+  let previous = null;
+  blocks.forEach((block, i) => {
+    previous = insertMarkdownBlock(body, i + 1, block, previous);
+  });
+  
+  // Keep the placeholder ahead of a leading table so the body never starts
+  // with one, and end with a paragraph so there is somewhere to type
+  if (blocks.length > 0 && blocks[0].type !== 'table') {
+    placeholder.removeFromParent();
+  }
+  if (previous && previous.getType() === DocumentApp.ElementType.TABLE) {
+    body.appendParagraph('');
+  }
+  
+  return blocks.length;
+}
+
+/**
+ * Rebuilds the document body from a markdown file in Drive, rendering
+ * headings, lists, tables, code, quotes and inline formatting
+ *
+ * @param {string} fileReference - Link, ID or name of the .md file
+ * @return {Object} Result with success, name and blocks count
+ */
+function importMarkdownFile(fileReference) {
+  try {
+    const file = findMarkdownFile(fileReference);
+    const markdown = file.getBlob().getDataAsString('UTF-8');
+    const blocks = renderMarkdownToBody(DocumentApp.getActiveDocument().getBody(), markdown);
     
-    Logger.log("aiedit-debug: Completed processing document for inline suggestions", {
-      totalSuggestions: suggestions.length,
-      locatedSuggestions: locatedSuggestions.length
+    logDebug(LOG_CONFIG.CATEGORIES.STATE, "Imported markdown file", {
+      fileId: file.getId(),
+      markdownLength: markdown.length,
+      blocks: blocks
     });
     
     return {
       success: true,
-      suggestions: locatedSuggestions,
-      unlocatedCount: suggestions.length - locatedSuggestions.length,
-      totalSuggestions: suggestions.length
+      name: file.getName(),
+      blocks: blocks
     };
   } catch (e) {
-    Logger.log("aiedit-debug: Error processing document for inline suggestions", {
+    logDebug(LOG_CONFIG.CATEGORIES.ERROR, "Error importing markdown file", {
       error: e.toString(),
       stack: e.stack
     });
@@ -1851,6 +7329,42 @@ Please adhere to these instructions:
   }
 }
 
+/**
+ * Menu handler: exports the document as markdown and reports where it went
+ */
+function showMarkdownExport() {
+  const ui = DocumentApp.getUi();
+  const result = exportMarkdownFile();
+  if (result.success) {
+    ui.alert((result.updated ? "Updated " : "Created ") + result.name + " in Drive.\n\n" + result.url);
+  } else {
+    ui.alert("Markdown export failed: " + result.error);
+  }
+}
+
+/**
+ * Menu handler: asks for a markdown file and replaces the body with it
+ */
+function showMarkdownImport() {
+  const ui = DocumentApp.getUi();
+  const response = ui.prompt(
+    "Import from Markdown",
+    "Enter the name, link or ID of a .md file in Drive. Leave blank to re-import this document's last export.\n\n" +
+    "The current document content will be replaced.",
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const result = importMarkdownFile(response.getResponseText());
+  if (result.success) {
+    ui.alert("Imported " + result.name + ".");
+  } else {
+    ui.alert("Markdown import failed: " + result.error);
+  }
+}
+
 /**
  * Save user settings to user properties
  * @param {string} settingsJson - JSON string of user settings